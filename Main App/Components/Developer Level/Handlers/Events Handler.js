@@ -2,7 +2,8 @@
 // =========== NEW ===========
 
 // === UTILITY FUNCTIONS ===
-function createMouseState(context, state) {
+// trigger is the input that caused this pass: 'mousedown', 'mousemove' or 'mouseup'
+function createMouseState(context, state, trigger) {
     const mouse = {
         x: context['now'].x,
         y: context['now'].y,
@@ -11,19 +12,36 @@ function createMouseState(context, state) {
         totalDeltaX: context['now'].x - context['on last mouse down'].x,
         totalDeltaY: context['now'].y - context['on last mouse down'].y,
         isDragging: context['on last mouse down'].time > context['on last mouse up'].time,
+        pointerType: context['now'].pointerType || 'mouse',
+        pressure: context['now'].pressure ?? 0,
         element: context['now'].element,
-        rightClickJustHappened: isRecentClick(context, 2) && !state.rightClickProcessed,
-        leftClickJustHappened: isRecentClick(context, 1) && !state.leftClickProcessed,
+        downElement: context['on last mouse down'].element,
+        downTime: context['on last mouse down'].time,
+        shiftKey: !!context['on last mouse down'].shiftKey,
+        ctrlKey: !!(context['on last mouse down'].ctrlKey || context['on last mouse down'].metaKey),
+        modifiers: getLiveModifiers(context),
+        rightClickJustHappened: trigger === 'mousedown' && context['on last mouse down'].button === 2,
+        leftClickJustHappened: trigger === 'mousedown' && context['on last mouse down'].button === 0,
+        justReleased: trigger === 'mouseup'
     };
-    mouse.justReleased = !mouse.isDragging && (Date.now() - context['on last mouse up'].time < 20);
     return mouse;
 }
 
-function isRecentClick(context, button) {
-    return context['on last mouse down'].button === button && 
-           Date.now() - context['on last mouse down'].time < 100;
+// Modifier keys held right now (shiftKey/ctrlKey above are the ones held at the press) -
+// whichever input arrived last, pointer or key, knows them
+function getLiveModifiers(context) {
+    const pointer = context['now'];
+    const keyboard = context['keyboard'];
+    const keyTime = keyboard?.['last key event']?.time || 0;
+    if (keyTime && keyTime >= (pointer.time || 0)) {
+        return { shift: !!keyboard['modifiers']?.shift, alt: !!keyboard['modifiers']?.alt };
+    }
+    return { shift: !!pointer.shiftKey, alt: !!pointer.altKey };
 }
 
+// Keys that change a live operation (aspect lock, resize from center) without a pointer move
+const LIVE_MODIFIER_KEYS = ['Shift', 'Alt'];
+
 function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
@@ -32,6 +50,52 @@ function createEventName(prefix, operation) {
     return `${prefix}${capitalize(operation)}`;
 }
 
+function getSelectedElements() {
+    const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+    return Object.values(inputs?.['selectedElementList'] || {}).filter(el => el?.isConnected);
+}
+
+// Selected elements that move together with the given element, or null for a single-element operation
+function getOperationGroup(element) {
+    const selected = getSelectedElements();
+    if (selected.length < 2 || !selected.includes(element) || element.classList.contains('gallery-child')) return null;
+
+    // Selected descendants follow their selected ancestor, gallery children follow their gallery,
+    // locked components stay where they are
+    const group = selected.filter(el => !el.classList.contains('gallery-child') && !isLocked(el) &&
+                                        !selected.some(other => other !== el && other.contains(el)));
+    return group.length > 1 ? group : null;
+}
+
+// Group operations are either moves (move/nesting) or resizes
+function getGroupOperation(operation) {
+    return operation === 'resize' ? 'resize' : 'move';
+}
+
+// Editor routes only run in Edit mode - Preview leaves pointer and keys to the form's own controls
+function isEditMode() {
+    const mode = window.handlerData?.['shared handler data']?.[0]?.selectedMode;
+    return String(mode || 'edit').toLowerCase() === 'edit';
+}
+
+// Pointer travel (px) before a press on the empty canvas becomes a marquee drag
+const MARQUEE_THRESHOLD = 4;
+
+// Middle-button presses, and presses while space is held, pan the canvas view
+function isPanGesture(context) {
+    return context['on last mouse down'].button === 1 || !!context['keyboard']?.['keys down']?.[' '];
+}
+
+// Pans can start anywhere in the editor area around the (possibly zoomed out) canvas
+function isOverCanvasArea(element) {
+    return !!element?.closest?.('#mainCanvas') || element?.id === 'mainContainer';
+}
+
+// Locked components (layers panel) can be selected but not moved or resized
+function isLocked(element) {
+    return !!window.OperationsUtility?.isLocked(element);
+}
+
 // === RESIZE EVENT ROUTING ===
 const resizeRouting = {
     'gallery-child': 'startGalleryResize',
@@ -42,7 +106,11 @@ const resizeRouting = {
 // === ROUTING TABLE ===
 const interactionRoutes = [
     {
-        condition: (el) => el.classList?.contains('resize-handle'),
+        condition: (el, context, mouse) => mouse.isDragging && isPanGesture(context) && isOverCanvasArea(mouse.downElement),
+        action: (mouse) => document.getElementById('mainCanvas')?.dispatchEvent(new CustomEvent('startPan', {detail: mouse}))
+    },
+    {
+        condition: (el) => el.classList?.contains('resize-handle') && !isLocked(el),
         action: (mouse, el) => {
             const component = el.closest('.base-user-component');
             if (!component) return;
@@ -54,6 +122,28 @@ const interactionRoutes = [
             component.dispatchEvent(new CustomEvent(eventName, {
                 detail: {mouse, handle: el}
             }));
+            return true;
+        }
+    },
+    {
+        // Dragging from empty canvas draws a marquee selection instead of deselecting
+        condition: (el, context, mouse) => mouse.downElement?.id === 'mainCanvas' &&
+                                          context['on last mouse down'].button === 0 &&
+                                          mouse.isDragging &&
+                                          Math.abs(mouse.totalDeltaX) + Math.abs(mouse.totalDeltaY) >= MARQUEE_THRESHOLD,
+        action: (mouse) => mouse.downElement.dispatchEvent(new CustomEvent('startMarquee', {detail: mouse}))
+    },
+    {
+        // Dragging a selected component starts a move, or a nesting move if it can be nested
+        condition: (el, context, mouse) => el.classList?.contains('base-user-component') &&
+                                          context['on last mouse down'].button === 0 &&
+                                          mouse.isDragging &&
+                                          el.classList.contains('selected') &&
+                                          !isLocked(el) &&
+                                          Math.abs(mouse.totalDeltaX) + Math.abs(mouse.totalDeltaY) >= 16,
+        action: (mouse, el) => {
+            const nestable = el.classList.contains('isNestable') && !el.classList.contains('gallery-child');
+            return el.dispatchEvent(new CustomEvent(nestable ? 'startNestingOperation' : 'startMoveOperation', {detail: mouse}));
         }
     },
     {
@@ -73,79 +163,372 @@ const interactionRoutes = [
     }
 ];
 
+// === KEYBOARD ROUTING TABLE ===
+const ARROW_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+function isCommandKey(key, letter) {
+    return !key.editable && (key.ctrlKey || key.metaKey) && key.key?.toLowerCase() === letter;
+}
+
+// Brackets by physical key - Shift turns them into braces on most layouts
+const ARRANGE_KEYS = {
+    BracketRight: ['forward', 'front'],
+    BracketLeft: ['backward', 'back']
+};
+
+const keyboardRoutes = [
+    {
+        condition: (key) => key.key === 'Escape' && !!state.operation,
+        action: () => cancelOperation()
+    },
+    {
+        condition: (key) => isCommandKey(key, 'z'),
+        action: (key) => document.dispatchEvent(new CustomEvent(key.shiftKey ? 'requestRedo' : 'requestUndo'))
+    },
+    {
+        condition: (key) => isCommandKey(key, '0'),
+        action: () => document.dispatchEvent(new CustomEvent('requestZoom', {detail: {action: 'reset'}}))
+    },
+    {
+        condition: (key) => isCommandKey(key, '=') || isCommandKey(key, '+'),
+        action: () => document.dispatchEvent(new CustomEvent('requestZoom', {detail: {action: 'in'}}))
+    },
+    {
+        condition: (key) => isCommandKey(key, '-'),
+        action: () => document.dispatchEvent(new CustomEvent('requestZoom', {detail: {action: 'out'}}))
+    },
+    {
+        // Space is held to pan (read from "keys down" by the pan route) - claiming it keeps the page from scrolling
+        condition: (key) => !key.editable && key.key === ' ' && !key.element?.closest?.('button'),
+        action: () => {}
+    },
+    {
+        condition: (key) => isCommandKey(key, 'd'),
+        action: (key) => document.dispatchEvent(new CustomEvent('duplicateSelection', {detail: key}))
+    },
+    {
+        condition: (key) => !key.editable && (key.ctrlKey || key.metaKey) && !!ARRANGE_KEYS[key.code],
+        action: (key) => {
+            const command = ARRANGE_KEYS[key.code][key.shiftKey ? 1 : 0];
+            document.dispatchEvent(new CustomEvent('arrangeSelection', {detail: {key, command}}));
+        }
+    },
+    {
+        condition: (key) => !key.editable && (key.key === 'Delete' || key.key === 'Backspace'),
+        action: (key) => document.dispatchEvent(new CustomEvent('deleteSelection', {detail: key}))
+    },
+    {
+        condition: (key) => !key.editable && !key.ctrlKey && !key.metaKey && !!ARROW_DIRECTIONS[key.key],
+        action: (key) => {
+            const [directionX, directionY] = ARROW_DIRECTIONS[key.key];
+            document.dispatchEvent(new CustomEvent('nudgeSelection', {detail: {key, directionX, directionY}}));
+        }
+    }
+];
+
+function routeKeyEvent(keyEvent) {
+    if (keyEvent.type !== 'keydown' || !isEditMode()) return;
+    const route = keyboardRoutes.find(r => r.condition(keyEvent));
+    // Only Escape may interrupt an operation in flight
+    if (route && (!state.operation || keyEvent.key === 'Escape')) {
+        route.action(keyEvent);
+    }
+}
+
 // === STATE MANAGEMENT ===
+let lastKeySequence = 0;
+let cancelledDownTime = null; // Mouse down whose operation was cancelled, ignored until release
+
 let state = {
-    operation: null, // 'move', 'resize', 'nesting', or null
+    operation: null, // 'move', 'resize', 'nesting', 'marquee', 'pan', or null
     element: null,   // Active element
     handle: null,    // For resize operations
-    lastMousePos: { x: 0, y: 0 },
-    leftClickProcessed: false,
-    rightClickProcessed: false
+    group: null,     // Selected elements taking part in a group operation
+    startGeometry: [], // Geometry of every element when the operation started, for cancel
+    lastMousePos: { x: 0, y: 0 }
 };
 
-// === MAIN CONTROL LOOP ===
-setInterval(() => {
+// === MAIN CONTROL FLOW ===
+// Driven by 'inputContextUpdated' from the Inputs Handler - nothing runs while the user is idle.
+// Presses, releases and keys are processed immediately so no click is lost,
+// pointer moves are coalesced into one pass per animation frame.
+let pendingFrame = null;
+
+document.addEventListener('inputContextUpdated', (e) => {
     if (!window.handlerData) return;
-    
-    const {context, inputs} = window.handlerData['shared handler data'][0];
-    const mouse = createMouseState(context, state);
+    const {type} = e.detail;
+
+    if (type === 'mousemove') {
+        if (pendingFrame === null) {
+            pendingFrame = requestAnimationFrame(() => {
+                pendingFrame = null;
+                processPointer('mousemove');
+            });
+        }
+        return;
+    }
+
+    if (type === 'mousedown' || type === 'mouseup') {
+        flushPendingFrame();
+        processPointer(type);
+        return;
+    }
+
+    if (type === 'keydown' || type === 'keyup') {
+        processKey();
+        return;
+    }
+
+    if (type === 'longpress') {
+        processLongPress();
+        return;
+    }
+
+    if (type === 'wheel') {
+        processWheel();
+        return;
+    }
+
+    if (type === 'clipboard') {
+        processClipboard();
+    }
+});
+
+// Apply the last coalesced move before a press/release so live operations end where the pointer is
+function flushPendingFrame() {
+    if (pendingFrame === null) return;
+    cancelAnimationFrame(pendingFrame);
+    pendingFrame = null;
+    processPointer('mousemove');
+}
+
+function processKey() {
+    const {context} = window.handlerData['shared handler data'][0];
+    const keyEvent = context['keyboard']?.['last key event'];
+    if (keyEvent?.sequence > lastKeySequence) {
+        lastKeySequence = keyEvent.sequence;
+        routeKeyEvent(keyEvent);
+
+        // Replay the pointer so the operation picks up the new modifiers where it is
+        if (state.operation && LIVE_MODIFIER_KEYS.includes(keyEvent.key)) {
+            processPointer('mousemove');
+        }
+    }
+}
+
+// A touch/pen long-press on a component stands in for a right click
+function processLongPress() {
+    if (state.operation || !isEditMode()) return;
+
+    const {context} = window.handlerData['shared handler data'][0];
+    const press = context['on last long press'];
+    const component = press.element?.closest?.('.base-user-component');
+    if (!component) {
+        // Empty canvas has a menu of its own
+        if (press.element?.closest?.('#mainCanvas')) {
+            cancelledDownTime = context['on last mouse down'].time;
+            document.dispatchEvent(new CustomEvent('showCanvasContextMenu', {detail: {x: press.x, y: press.y}}));
+        }
+        return;
+    }
+
+    window.rightClickTarget = component;
+    // The finger is still down - keep it from turning into a drag until it lifts
+    cancelledDownTime = context['on last mouse down'].time;
+
+    component.dispatchEvent(new CustomEvent('showContextMenu', {detail: {x: press.x, y: press.y}}));
+    console.log('Long-press context menu requested for:', component.id);
+}
+
+// Ctrl+wheel over the canvas zooms the view around the pointer
+function isWheelZoom(wheel) {
+    return isEditMode() && !!(wheel?.ctrlKey || wheel?.metaKey) && isOverCanvasArea(wheel.element);
+}
+
+function processWheel() {
+    const wheel = window.handlerData['shared handler data'][0].context['on last wheel'];
+    if (!isWheelZoom(wheel)) return;
+    document.dispatchEvent(new CustomEvent('requestZoom', {
+        detail: {deltaY: wheel.deltaY, deltaMode: wheel.deltaMode, x: wheel.x, y: wheel.y}
+    }));
+}
+
+// Copy/cut take the selection unless the user is copying text, paste takes components copied by the editor
+// (in this tab or another) - everything else is the browser's
+function isClipboardCommand(clipboard) {
+    if (!clipboard?.type || !isEditMode() || clipboard.editable || state.operation) return false;
+    if (clipboard.type === 'paste') {
+        const text = clipboard.clipboardData?.getData('text/plain');
+        return !!window.KeyboardBehavior?.parseClipboard(text);
+    }
+    const inputs = window.handlerData['shared handler data'][0].inputs;
+    return !clipboard.hasTextSelection && Object.keys(inputs['selectedElementList'] || {}).length > 0;
+}
+
+function processClipboard() {
+    const {context} = window.handlerData['shared handler data'][0];
+    const clipboard = context['on last clipboard'];
+    if (!isClipboardCommand(clipboard)) return;
+
+    const eventName = {copy: 'copySelection', cut: 'cutSelection', paste: 'pasteClipboard'}[clipboard.type];
+    document.dispatchEvent(new CustomEvent(eventName, {
+        detail: {clipboardData: clipboard.clipboardData, pointer: context['now']}
+    }));
+}
+
+function processPointer(trigger) {
+    const {context} = window.handlerData['shared handler data'][0];
+    const mouse = createMouseState(context, state, trigger);
     
     // Handle right-click target selection
-    if (mouse.rightClickJustHappened && mouse.element?.classList?.contains('base-user-component')) {
+    if (mouse.rightClickJustHappened && isEditMode() && mouse.element?.classList?.contains('base-user-component')) {
         window.rightClickTarget = mouse.element;
-        state.rightClickProcessed = true;
         console.log('Right-click target stored:', window.rightClickTarget.id);
     }
     
-    // Reset flags on release
-    if (mouse.justReleased) {
-        state.rightClickProcessed = false;
-        state.leftClickProcessed = false;
-    }
-    
     // Handle active operations
-    if (mouse.isDragging && state.operation && state.element) {
-        const eventName = createEventName('live', state.operation);
-        const detail = state.operation === 'resize' ? {mouse, handle: state.handle} : mouse;
-        state.element.dispatchEvent(new CustomEvent(eventName, {detail}));
+    if (trigger === 'mousemove' && mouse.isDragging && state.operation && state.element) {
+        if (state.group) {
+            const eventName = createEventName('liveGroup', getGroupOperation(state.operation));
+            document.dispatchEvent(new CustomEvent(eventName, {
+                detail: {mouse, handle: state.handle, leader: state.element, elements: state.group}
+            }));
+        } else {
+            const eventName = createEventName('live', state.operation);
+            const detail = state.operation === 'resize' ? {mouse, handle: state.handle} : mouse;
+            state.element.dispatchEvent(new CustomEvent(eventName, {detail}));
+        }
     }
     
     // Complete operations
     if (mouse.justReleased && state.operation && state.element) {
-        const eventName = createEventName('complete', state.operation);
-        state.element.dispatchEvent(new CustomEvent(eventName, {detail: mouse}));
+        if (state.group) {
+            const eventName = createEventName('completeGroup', getGroupOperation(state.operation));
+            document.dispatchEvent(new CustomEvent(eventName, {
+                detail: {mouse, handle: state.handle, leader: state.element, elements: state.group}
+            }));
+        } else {
+            const eventName = createEventName('complete', state.operation);
+            state.element.dispatchEvent(new CustomEvent(eventName, {detail: mouse}));
+        }
         resetState();
     }
     
-    // Route new interactions using table
-    if (!state.operation && mouse.element) {
-        const route = interactionRoutes.find(r => r.condition(mouse.element, context));
+    // Route new interactions using table (a cancelled drag stays inert until release)
+    const dragWasCancelled = mouse.isDragging && mouse.downTime === cancelledDownTime;
+    if (!state.operation && mouse.element && !dragWasCancelled && isEditMode()) {
+        const route = interactionRoutes.find(r => r.condition(mouse.element, context, mouse));
         route?.action(mouse, mouse.element) || 
             document.dispatchEvent(new CustomEvent('handleElementLeave', {detail: mouse}));
     }
     
     state.lastMousePos = { x: mouse.x, y: mouse.y };
-}, 10);
+}
 
 // === STATE MANAGEMENT ===
-function resetState() {
-    state.element?.dispatchEvent(new CustomEvent('resetOperationState'));
+function resetState(cancelled = false) {
+    const {operation, element, group} = state;
+    const elements = group || (element ? [element] : []);
+    elements.forEach(el => el.dispatchEvent(new CustomEvent('resetOperationState')));
+    if (operation && element) {
+        const eventName = cancelled ? 'operationCancelled' : 'operationCompleted';
+        document.dispatchEvent(new CustomEvent(eventName, {detail: {operation, element, elements}}));
+    }
     state = { 
         operation: null, 
         element: null, 
         handle: null, 
-        lastMousePos: state.lastMousePos,
-        leftClickProcessed: false,
-        rightClickProcessed: false
+        group: null, 
+        startGeometry: [], 
+        lastMousePos: state.lastMousePos
     };
 }
 
+function captureGeometry(element) {
+    return {
+        element,
+        parent: element.parentElement,
+        nextSibling: element.nextSibling,
+        left: element.style.left,
+        top: element.style.top,
+        width: element.style.width,
+        height: element.style.height
+    };
+}
+
+function restoreGeometry(geometry) {
+    const {element, parent, nextSibling} = geometry;
+    if (parent && element.parentElement !== parent) {
+        parent.insertBefore(element, nextSibling?.parentElement === parent ? nextSibling : null);
+    }
+    ['left', 'top', 'width', 'height'].forEach(prop => {
+        element.style[prop] = geometry[prop];
+    });
+
+    // Gallery layout is derived from children, so put it back together as well
+    [element, parent].forEach(el => {
+        if (el?.classList?.contains('gallery-component') && window.GalleryComponentFactory) {
+            window.GalleryComponentFactory.updateChildWidths(el);
+            window.GalleryComponentFactory.updateGalleryHeight(el);
+        }
+    });
+}
+
+// Abort the operation in flight and put every element back where it started
+function cancelOperation() {
+    if (!state.operation) return;
+
+    const elements = state.group || [state.element];
+    elements.forEach(el => el.dispatchEvent(new CustomEvent('cancelOperation')));
+    state.startGeometry.forEach(restoreGeometry);
+
+    cancelledDownTime = window.handlerData?.['shared handler data']?.[0]?.context?.['on last mouse down']?.time;
+    console.log('Operation cancelled:', state.operation, state.element?.id);
+    resetState(true);
+}
+
+// A component removed mid-operation ends the operation - there is nothing left to put back.
+// The rest of the drag is ignored until the button is released.
+document.addEventListener('componentRemoved', (e) => {
+    const removed = e.detail.element;
+    const elements = state.group || (state.element ? [state.element] : []);
+    if (!state.operation || !elements.some(el => removed.contains(el))) return;
+
+    cancelledDownTime = window.handlerData?.['shared handler data']?.[0]?.context?.['on last mouse down']?.time;
+    console.log('Operation ended, its component was removed:', state.operation, state.element?.id);
+    resetState(true);
+});
+
 // === PUBLIC API ===
 window.EventsHandler = {
     start: (operation, element, handle = null) => {
         state.operation = operation;
         state.element = element;
         state.handle = handle;
+        state.group = getOperationGroup(element);
+        const elements = state.group || [element];
+        state.startGeometry = elements.map(captureGeometry);
+        document.dispatchEvent(new CustomEvent('operationStarted', {detail: {operation, element, handle, elements}}));
+    },
+    // A drag that turns into another kind of operation part way (a gallery child dragged out of its gallery
+    // stops reordering and nests) - start geometry and history stay those of the original operation
+    switchOperation: (operation) => {
+        if (!state.operation || state.group || state.operation === operation) return false;
+        console.log('Operation switched:', state.operation, '->', operation, state.element?.id);
+        state.operation = operation;
+        return true;
     },
-    getState: () => ({ ...state }) // Return a copy of the state
+    cancel: cancelOperation,
+    // Modifiers held during an operation belong to it (Alt would otherwise focus the browser menu)
+    isShortcut: (keyEvent) => isEditMode() && (keyboardRoutes.some(r => r.condition(keyEvent)) ||
+                              (!!state.operation && LIVE_MODIFIER_KEYS.includes(keyEvent.key))),
+    isWheelZoom,
+    isClipboardCommand,
+    getState: () => ({ ...state }), // Return a copy of the state
+    MARQUEE_THRESHOLD
 };
\ No newline at end of file
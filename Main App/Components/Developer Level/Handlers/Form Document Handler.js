@@ -0,0 +1,262 @@
+// Form Document Handler.js - Serializes #mainCanvas to a versioned JSON document and restores it
+// Document shape:
+//   { schemaVersion, savedAt, canvas: { settings, children: [node] } }
+//   node = { id, type, classes, style, config, children: [node] }
+
+(function() {
+    // Bump when the document shape changes and add a migration from the previous version
+    const SCHEMA_VERSION = 2;
+    const STORAGE_KEY = 'web-form:form-document';
+    const AUTOSAVE_DELAY = 500;
+
+    // Inline styles that describe the form (selection/drag visuals are transient and skipped)
+    const PERSISTED_STYLES = ['left', 'top', 'width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+                              'backgroundColor', 'border', 'borderRadius'];
+
+    // Form-wide settings, kept on #mainCanvas as data-* attributes
+    // (submit settings are read by window.FormRuntime, the snapping grid by the Snapping Modifier)
+    const CANVAS_SETTINGS = {
+        submitEndpoint: 'data-submit-endpoint',
+        submitMethod: 'data-submit-method',
+        snapGrid: 'data-snap-grid',
+        snapPadding: 'data-snap-padding'
+    };
+
+    // Classes added by behaviors at runtime that should never be saved
+    const TRANSIENT_CLASSES = ['selected'];
+
+    // migrations[n] upgrades a version n document to version n + 1
+    const migrations = {
+        // Version 2 added form-wide settings
+        1: (doc) => ({ ...doc, canvas: { ...doc.canvas, settings: {} } })
+    };
+
+    // === SERIALIZATION ===
+    function serialize(canvas = document.getElementById('mainCanvas')) {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            canvas: {
+                settings: canvas ? getSettings(canvas) : {},
+                children: canvas ? serializeChildren(canvas) : []
+            }
+        };
+    }
+
+    function serializeChildren(container) {
+        return Array.from(container.children)
+            .filter(child => child.classList.contains('base-user-component'))
+            .map(serializeComponent);
+    }
+
+    function serializeComponent(component) {
+        const type = component.dataset.component;
+        const style = {};
+        PERSISTED_STYLES.forEach(prop => {
+            if (component.style[prop]) style[prop] = component.style[prop];
+        });
+
+        return {
+            id: component.id,
+            type,
+            classes: Array.from(component.classList).filter(cls => !TRANSIENT_CLASSES.includes(cls)),
+            style,
+            config: window.ComponentTypeRegistry.readConfig(component),
+            // Sign-in strips render their own buttons, they never hold components
+            children: type === 'signin-unified' ? [] : serializeChildren(component)
+        };
+    }
+
+    function getSettings(canvas = document.getElementById('mainCanvas')) {
+        const settings = {};
+        Object.entries(CANVAS_SETTINGS).forEach(([key, attribute]) => {
+            const value = canvas?.getAttribute(attribute);
+            if (value) settings[key] = value;
+        });
+        return settings;
+    }
+
+    // Only the given keys change, an empty value removes the setting
+    function setSettings(canvas = document.getElementById('mainCanvas'), settings = {}) {
+        Object.entries(settings).forEach(([key, value]) => {
+            const attribute = CANVAS_SETTINGS[key];
+            if (!attribute || !canvas) return;
+            if (value) {
+                canvas.setAttribute(attribute, value);
+            } else {
+                canvas.removeAttribute(attribute);
+            }
+        });
+    }
+
+    // === MIGRATION ===
+    function migrate(doc) {
+        if (!doc || typeof doc !== 'object' || !doc.canvas) {
+            throw new Error('Invalid form document');
+        }
+
+        let migrated = doc;
+        let version = doc.schemaVersion || 0;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Form document schema ${version} is newer than supported schema ${SCHEMA_VERSION}`);
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const step = migrations[version];
+            if (!step) {
+                throw new Error(`No migration from form document schema ${version}`);
+            }
+            migrated = step(migrated);
+            version += 1;
+            migrated.schemaVersion = version;
+        }
+
+        return migrated;
+    }
+
+    // === LOADING ===
+    function load(doc, canvas = document.getElementById('mainCanvas')) {
+        if (!canvas) {
+            throw new Error('Cannot load form document: #mainCanvas not found');
+        }
+
+        const migrated = migrate(doc);
+
+        clear(canvas);
+        // Every known setting is written so values from the previous form do not linger
+        setSettings(canvas, Object.fromEntries(Object.keys(CANVAS_SETTINGS)
+            .map(key => [key, migrated.canvas.settings?.[key] || ''])));
+        migrated.canvas.children.forEach(node => restoreComponent(node, canvas));
+
+        document.dispatchEvent(new CustomEvent('formDocumentLoaded', {
+            detail: { schemaVersion: migrated.schemaVersion }
+        }));
+
+        console.log('Form document loaded, components:', migrated.canvas.children.length);
+        return canvas;
+    }
+
+    function clear(canvas) {
+        if (window.clearAllSelections) window.clearAllSelections();
+        Array.from(canvas.children)
+            .filter(child => child.classList.contains('base-user-component'))
+            .forEach(child => child.remove());
+    }
+
+    function restoreComponent(node, container) {
+        const options = { id: node.id, container, ...node.style, ...node.config };
+
+        // Gallery child types only exist inside a gallery, unknown types fall back to the base type
+        const registry = window.ComponentTypeRegistry;
+        let type = registry.has(node.type) ? node.type : 'base-user-component';
+        if (!container.classList.contains('gallery-component')) {
+            type = registry.standaloneTypeFor(type);
+        }
+        const component = registry.createInstance(type, options);
+
+        // Classes carry capability changes made after creation, unless the type had to change
+        if (node.classes?.length && (type === node.type || !registry.has(node.type))) {
+            component.className = node.classes.join(' ');
+        }
+        if (!registry.has(node.type)) {
+            component.setAttribute('data-component', node.type);
+        }
+        Object.entries(node.style || {}).forEach(([prop, value]) => {
+            component.style[prop] = value;
+        });
+
+        (node.children || []).forEach(childNode => restoreComponent(childNode, component));
+
+        if (node.type === 'gallery-component' && window.GalleryComponentFactory) {
+            window.GalleryComponentFactory.updateChildWidths(component);
+            window.GalleryComponentFactory.updateGalleryHeight(component);
+        }
+
+        return component;
+    }
+
+    // Fresh ids for a copied subtree so it can live next to the original. The whole subtree is named before
+    // any of it is in the document, so ids handed out earlier in the same copy (issued) are taken too.
+    function uniqueId(prefix, issued = new Set()) {
+        let id = `${prefix}_${Date.now()}`;
+        let suffix = 0;
+        while (document.getElementById(id) || issued.has(id)) {
+            id = `${prefix}_${Date.now()}_${++suffix}`;
+        }
+        issued.add(id);
+        return id;
+    }
+
+    function assignFreshIds(node, issued = new Set()) {
+        return {
+            ...node,
+            id: uniqueId(node.type, issued),
+            children: (node.children || []).map(child => assignFreshIds(child, issued))
+        };
+    }
+
+    // === PERSISTENCE ===
+    function saveToStorage() {
+        const doc = serialize();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(doc));
+        return doc;
+    }
+
+    function restoreFromStorage() {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (!saved) return false;
+
+        try {
+            load(JSON.parse(saved));
+            return true;
+        } catch (error) {
+            console.error('Error restoring saved form document:', error);
+            return false;
+        }
+    }
+
+    // Save shortly after the canvas stops changing (live drags update styles every frame)
+    function enableAutosave(canvas = document.getElementById('mainCanvas')) {
+        if (!canvas || canvas.dataset.autosaveInitialized) return;
+        canvas.dataset.autosaveInitialized = 'true';
+
+        let saveTimeout = null;
+        const scheduleSave = () => {
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(saveToStorage, AUTOSAVE_DELAY);
+        };
+        const observer = new MutationObserver(scheduleSave);
+
+        observer.observe(canvas, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['style', 'class', 'id', ...Object.values(CANVAS_SETTINGS)]
+        });
+
+        // Component config lives in data-* attributes of every type (layer hide/lock/name, gallery data key, ...) -
+        // each change to it is a History command, undo and redo included
+        document.addEventListener('historyChanged', scheduleSave);
+    }
+
+    // === PUBLIC API ===
+    window.FormDocument = {
+        SCHEMA_VERSION,
+        migrations,
+        serialize,
+        serializeComponent,
+        restoreComponent,
+        getSettings,
+        setSettings,
+        assignFreshIds,
+        uniqueId,
+        load,
+        migrate,
+        saveToStorage,
+        restoreFromStorage,
+        enableAutosave
+    };
+
+    console.log('Form Document Handler loaded and ready');
+})();
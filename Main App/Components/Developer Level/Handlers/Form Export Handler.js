@@ -0,0 +1,223 @@
+// Form Export Handler.js - Exports the canvas as a standalone HTML page
+// The page holds a copy of the component tree and only runtime code, all inline in one file:
+//      Form Runtime Handler.js     collects, validates and submits the fields
+//      UnifiedSignIn.js            renders the sign-in strips (only when the form has one)
+// Editor behaviors, the Events Handler and the Inputs Handler are left out, as are editor classes,
+// resize handles, guides and error messages. Fields start from their default values.
+//      buildHtml({ title, flexGalleries })   Promise of the page source
+//      download({ fileName, ... })          builds the page and saves it
+// flexGalleries turns gallery stacks into flex columns, so they grow with their content
+// instead of keeping the heights the editor calculated.
+
+(function() {
+    // Runtime scripts, relative to this file
+    const SCRIPT_BASE = document.currentScript?.src || window.location.href;
+    const RUNTIME_SCRIPT = 'Form Runtime Handler.js';
+    const SIGNIN_SCRIPT = '../../User Level/Components/Login Component/3rd Party Sign In/UnifiedSignIn.js';
+
+    // Stylesheets the exported components need (by data-component), the rest belong to the editor
+    const EXPORTED_STYLES = ['base-user-component', 'form-field-component', 'signin-component'];
+
+    // Editor-only classes, elements, attributes and inline styles
+    const EDITOR_CLASSES = ['selected', 'draggable', 'ResizableX', 'ResizableY', 'ResizableXorYAxis',
+                            'isNestable', 'acceptsChildren', 'snapping'];
+    const EDITOR_ELEMENTS = '.resize-handle, .snap-guideline, .gallery-reorder-indicator, .form-field-error, ' +
+                            '.marquee-selection, .component-context-menu, .snap-grid-overlay';
+    const EDITOR_ATTRIBUTES = ['data-behaviors', 'data-drag-offset', 'data-parent-offset', 'data-nesting-target',
+                               'data-invalid', 'data-snap-grid', 'data-snap-padding', 'data-layer-name',
+                               'data-hidden', 'data-locked', 'data-standalone-width'];
+    const EDITOR_STYLES = ['outline', 'outlineOffset', 'cursor', 'transform', 'visibility', 'zIndex'];
+
+    // Space kept around the form on the exported page
+    const PAGE_MARGIN = 20;
+
+    // === COMPONENT TREE ===
+    function cloneCanvas(canvas, options) {
+        const root = document.createElement('div');
+        root.id = 'formRoot';
+        root.className = 'exported-form';
+        Object.entries(window.FormDocument?.getSettings(canvas) || {}).forEach(([key, value]) => {
+            root.dataset[key] = value;
+        });
+        EDITOR_ATTRIBUTES.forEach(attribute => root.removeAttribute(attribute));
+
+        const originals = Array.from(canvas.children).filter(child => child.classList.contains('base-user-component'));
+        const components = originals.map(child => child.cloneNode(true));
+        components.forEach(component => root.appendChild(component));
+
+        root.querySelectorAll(EDITOR_ELEMENTS).forEach(el => el.remove());
+        root.querySelectorAll('.base-user-component').forEach(cleanComponent);
+        root.querySelectorAll('.form-field-component').forEach(bakeDefaults);
+        // UnifiedSignIn renders the buttons again on the page, with their click handlers
+        root.querySelectorAll('.signin-unified').forEach(strip => { strip.textContent = ''; });
+        if (options.flexGalleries) {
+            root.querySelectorAll('.gallery-component').forEach(toFlexLayout);
+        }
+
+        fitToContent(root, originals, components);
+        return root;
+    }
+
+    function cleanComponent(component) {
+        component.classList.remove(...EDITOR_CLASSES);
+        EDITOR_ATTRIBUTES.forEach(attribute => component.removeAttribute(attribute));
+        EDITOR_STYLES.forEach(prop => { component.style[prop] = ''; });
+    }
+
+    // Values set on a control are not part of its HTML - write the field's default value as attributes
+    function bakeDefaults(field) {
+        const defaultValue = field.dataset.defaultValue || '';
+        const body = field.querySelector(':scope > .form-field-body');
+        body?.removeAttribute('inert');
+
+        body?.querySelectorAll('.form-field-control').forEach(control => {
+            control.removeAttribute('disabled');
+            if (control.tagName === 'TEXTAREA') {
+                control.textContent = defaultValue;
+            } else if (control.tagName === 'SELECT') {
+                const selected = Array.from(control.options).find(option => option.value === defaultValue)
+                    || Array.from(control.options).find(option => option.disabled && option.value === '');
+                selected?.setAttribute('selected', '');
+            } else if (control.type === 'checkbox') {
+                control.toggleAttribute('checked', defaultValue === 'true');
+            } else if (control.type === 'radio') {
+                control.toggleAttribute('checked', control.value === defaultValue);
+            } else if (control.tagName === 'INPUT' && defaultValue) {
+                control.setAttribute('value', defaultValue);
+            }
+        });
+    }
+
+    // Gallery children become a flex column with the gallery's gap and padding
+    function toFlexLayout(gallery) {
+        const {gap, padding} = window.GalleryComponentFactory.getLayout(gallery);
+        Object.assign(gallery.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: gap + 'px',
+            padding: padding + 'px',
+            height: 'auto'
+        });
+        gallery.querySelectorAll(':scope > .gallery-child').forEach(child => {
+            Object.assign(child.style, { position: 'relative', left: '', top: '', width: '' });
+        });
+    }
+
+    // Move the form to the page corner and size the root around it (sizes measured on the canvas)
+    function fitToContent(root, originals, components) {
+        const utility = window.OperationsUtility;
+        const boxes = components.map((component, index) => ({
+            component,
+            left: utility.getStyleNumber(originals[index], 'left'),
+            top: utility.getStyleNumber(originals[index], 'top'),
+            width: utility.getStyleNumber(originals[index], 'width'),
+            height: utility.getStyleNumber(originals[index], 'height')
+        }));
+        if (!boxes.length) return;
+
+        const minLeft = Math.min(...boxes.map(box => box.left));
+        const minTop = Math.min(...boxes.map(box => box.top));
+        let width = 0;
+        let height = 0;
+        boxes.forEach(box => {
+            box.component.style.left = (box.left - minLeft) + 'px';
+            box.component.style.top = (box.top - minTop) + 'px';
+            width = Math.max(width, box.left - minLeft + box.width);
+            height = Math.max(height, box.top - minTop + box.height);
+        });
+        root.style.width = width + 'px';
+        root.style.minHeight = height + 'px';
+    }
+
+    // === PAGE ===
+    async function loadScript(path) {
+        const response = await fetch(new URL(path, SCRIPT_BASE));
+        if (!response.ok) {
+            throw new Error(`Could not load runtime script ${path}: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Inline scripts end at the first "</script", wherever it appears
+    function inlineScript(source) {
+        return `<script>\n${source.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+    }
+
+    function collectStyles() {
+        return EXPORTED_STYLES
+            .map(name => document.querySelector(`style[data-component="${name}"]`)?.textContent || '')
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    async function buildHtml(options = {}) {
+        const canvas = document.getElementById('mainCanvas');
+        if (!canvas) {
+            throw new Error('Cannot export form: #mainCanvas not found');
+        }
+
+        const root = cloneCanvas(canvas, options);
+        const hasSignIn = !!root.querySelector('.signin-unified');
+        const scripts = [await loadScript(RUNTIME_SCRIPT)];
+        if (hasSignIn) scripts.push(await loadScript(SIGNIN_SCRIPT));
+
+        const boot = `
+(function() {
+    var root = document.getElementById('formRoot');
+    window.FormRuntime.attach(root);
+    document.querySelectorAll('#formRoot .signin-unified').forEach(function(strip) {
+        new window.UnifiedSignInComponent(strip.id, {
+            enabledProviders: (strip.dataset.enabledProviders || '').split(',').filter(Boolean),
+            buttonSize: strip.dataset.buttonSize,
+            buttonGap: strip.dataset.buttonGap
+        }).initialize();
+    });
+})();`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(options.title || 'Form')}</title>
+    <style>
+        body { margin: 0; font-family: Arial, sans-serif; }
+        .exported-form { position: relative; margin: ${PAGE_MARGIN}px auto; }
+${collectStyles()}
+        .exported-form .base-user-component { cursor: default; }
+    </style>
+</head>
+<body>
+${root.outerHTML}
+${scripts.map(inlineScript).join('\n')}
+${inlineScript(boot)}
+</body>
+</html>
+`;
+    }
+
+    async function download(options = {}) {
+        const html = await buildHtml(options);
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = options.fileName || 'form.html';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        console.log('Form exported:', link.download);
+        return html;
+    }
+
+    window.FormExport = {
+        buildHtml,
+        download
+    };
+
+    console.log('Form Export Handler loaded and ready');
+})();
@@ -0,0 +1,321 @@
+// Form Runtime Handler.js - Collects, validates and submits the form field components under a root element
+// Runs in Preview mode (attached to #mainCanvas) and in exported forms. It only reads the DOM and the
+// data-* settings written by the Form Field and Gallery factories, so it needs none of the editor scripts.
+//      attach(root, { endpoint, method })  handle submit buttons and Enter in the fields under root
+//      detach()                            stop handling and clear the errors shown
+//      collect(root)                       payload of field values in DOM/gallery order
+//      validate(root)                      { valid, errors: [{ field, name, message }] }
+//      submit(root, options)               validate, then send the payload to the endpoint if there is one
+// endpoint and method default to data-submit-endpoint / data-submit-method on the root.
+// Events dispatched on the root (they bubble to document):
+//      formSubmitted           { payload, endpoint, status } - status is null when there is no endpoint
+//      formSubmitFailed        { payload, endpoint, error }
+//      formValidationFailed    { errors }
+
+(function() {
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const METHODS = ['POST', 'PUT', 'PATCH'];
+
+    let session = null; // { root, options, listeners, submitting }
+
+    const isField = (el) => el.classList.contains('form-field-component');
+    const isSubmitButton = (el) => el.dataset.fieldType === 'submit';
+
+    function getControls(field) {
+        return Array.from(field.querySelectorAll(':scope > .form-field-body .form-field-control'));
+    }
+
+    function getFields(root) {
+        return Array.from(root.querySelectorAll('.form-field-component')).filter(field => !isSubmitButton(field));
+    }
+
+    function findField(root, name) {
+        return getFields(root).find(field => field.dataset.name === name) || null;
+    }
+
+    // === VALUES ===
+    function readValue(field) {
+        const controls = getControls(field);
+        switch (field.dataset.fieldType) {
+            case 'checkbox':
+                return !!controls[0]?.checked;
+            case 'radio':
+                return controls.find(control => control.checked)?.value ?? '';
+            case 'number': {
+                const value = controls[0]?.value ?? '';
+                return value === '' ? null : Number(value);
+            }
+            default:
+                return controls[0]?.value ?? '';
+        }
+    }
+
+    // === COLLECTION ===
+    // Components of one container in DOM order - a gallery keeps its children in layout order
+    function getScopeComponents(container) {
+        return Array.from(container.children).filter(child => child.classList.contains('base-user-component'));
+    }
+
+    // [name, value] pairs of a container. A gallery with a data key becomes one nested entry,
+    // every other container (or a gallery without a key) adds its fields to the surrounding scope
+    function collectEntries(container, entries = []) {
+        getScopeComponents(container).forEach(component => {
+            if (isField(component)) {
+                if (!isSubmitButton(component) && component.dataset.name) {
+                    entries.push([component.dataset.name, readValue(component)]);
+                }
+                return;
+            }
+
+            const dataKey = component.classList.contains('gallery-component') ? component.dataset.dataKey : '';
+            if (!dataKey) {
+                collectEntries(component, entries);
+                return;
+            }
+
+            const nested = collectEntries(component);
+            entries.push([dataKey, component.dataset.dataList === 'true'
+                ? nested.map(([, value]) => value)
+                : toObject(nested)]);
+        });
+        return entries;
+    }
+
+    // Names used more than once in the same scope collect their values into an array
+    function toObject(entries) {
+        const result = {};
+        const repeated = new Set();
+        entries.forEach(([name, value]) => {
+            if (!(name in result)) {
+                result[name] = value;
+            } else if (repeated.has(name)) {
+                result[name].push(value);
+            } else {
+                result[name] = [result[name], value];
+                repeated.add(name);
+            }
+        });
+        return result;
+    }
+
+    function collect(root) {
+        return toObject(collectEntries(root));
+    }
+
+    // === VALIDATION ===
+    // Empty values only fail "required", every other rule applies to a filled-in value
+    function validateField(field, root) {
+        const settings = field.dataset;
+        const value = readValue(field);
+
+        if (value === '' || value === null || value === false) {
+            return settings.required === 'true' ? 'This field is required' : null;
+        }
+
+        const text = String(value);
+        if (settings.fieldType === 'email' && !EMAIL_PATTERN.test(text)) {
+            return 'Enter a valid email address';
+        }
+        if (settings.fieldType === 'number' && Number.isNaN(value)) {
+            return 'Enter a number';
+        }
+
+        const minLength = parseInt(settings.minLength);
+        const maxLength = parseInt(settings.maxLength);
+        if (!isNaN(minLength) && text.length < minLength) return `Use at least ${minLength} characters`;
+        if (!isNaN(maxLength) && text.length > maxLength) return `Use at most ${maxLength} characters`;
+
+        if (settings.pattern) {
+            try {
+                if (!new RegExp(`^(?:${settings.pattern})$`).test(text)) {
+                    return settings.patternMessage || 'Enter a value in the expected format';
+                }
+            } catch (error) {
+                console.warn('Invalid validation pattern on field:', field.id, settings.pattern);
+            }
+        }
+
+        if (settings.min && compare(value, settings.min, settings.fieldType) < 0) return `Must be at least ${settings.min}`;
+        if (settings.max && compare(value, settings.max, settings.fieldType) > 0) return `Must be at most ${settings.max}`;
+
+        if (settings.matchField) {
+            const other = findField(root, settings.matchField);
+            if (other && readValue(other) !== value) {
+                return `Must match ${other.dataset.label || settings.matchField}`;
+            }
+        }
+        return null;
+    }
+
+    // Dates compare as ISO strings (yyyy-mm-dd), everything else as numbers
+    function compare(value, bound, fieldType) {
+        if (fieldType === 'date') return String(value).localeCompare(bound);
+        return Number(value) - Number(bound);
+    }
+
+    function validate(root) {
+        const errors = getFields(root)
+            .map(field => ({ field, name: field.dataset.name, message: validateField(field, root) }))
+            .filter(result => result.message);
+        return { valid: errors.length === 0, errors };
+    }
+
+    // === ERROR DISPLAY ===
+    function showFieldError(field, message) {
+        let error = field.querySelector(':scope > .form-field-error');
+        if (!message) {
+            error?.remove();
+            delete field.dataset.invalid;
+            getControls(field).forEach(control => control.removeAttribute('aria-invalid'));
+            return;
+        }
+        if (!error) {
+            error = document.createElement('div');
+            error.className = 'form-field-error';
+            error.setAttribute('role', 'alert');
+            field.appendChild(error);
+        }
+        error.textContent = message;
+        field.dataset.invalid = 'true';
+        getControls(field).forEach(control => control.setAttribute('aria-invalid', 'true'));
+    }
+
+    function showErrors(root, errors) {
+        clearErrors(root);
+        errors.forEach(({field, message}) => showFieldError(field, message));
+    }
+
+    function clearErrors(root) {
+        root.querySelectorAll('.form-field-component[data-invalid="true"]').forEach(field => showFieldError(field, null));
+    }
+
+    // === SUBMISSION ===
+    async function submit(root = session?.root, options = session?.options || {}) {
+        if (!root) return { ok: false, error: new Error('No form to submit') };
+
+        const result = validate(root);
+        showErrors(root, result.errors);
+        if (!result.valid) {
+            getControls(result.errors[0].field)[0]?.focus();
+            dispatch(root, 'formValidationFailed', { errors: result.errors });
+            return { ok: false, errors: result.errors };
+        }
+
+        const payload = collect(root);
+        const endpoint = options.endpoint ?? root.dataset.submitEndpoint ?? '';
+        if (!endpoint) {
+            dispatch(root, 'formSubmitted', { payload, endpoint: null, status: null });
+            return { ok: true, payload };
+        }
+
+        let method = String(options.method || root.dataset.submitMethod || 'POST').toUpperCase();
+        if (!METHODS.includes(method)) {
+            console.warn(`Unsupported submit method ${method}, using POST`);
+            method = 'POST';
+        }
+
+        setSubmitting(root, true);
+        try {
+            const response = await fetch(endpoint, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (!response.ok) {
+                throw new Error(`Submit failed with status ${response.status}`);
+            }
+            dispatch(root, 'formSubmitted', { payload, endpoint, status: response.status });
+            return { ok: true, payload, status: response.status };
+        } catch (error) {
+            console.error('Form submit failed:', error);
+            dispatch(root, 'formSubmitFailed', { payload, endpoint, error });
+            return { ok: false, payload, error };
+        } finally {
+            setSubmitting(root, false);
+        }
+    }
+
+    // One request at a time - submit buttons are disabled while it is in flight
+    function setSubmitting(root, submitting) {
+        if (session?.root === root) session.submitting = submitting;
+        root.querySelectorAll('.form-field-submit').forEach(button => { button.disabled = submitting; });
+    }
+
+    function dispatch(root, type, detail) {
+        root.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+
+    // === ATTACH ===
+    function attach(root, options = {}) {
+        detach();
+        if (!root) return;
+        ensureStylesLoaded();
+
+        const listeners = [
+            ['click', (e) => {
+                if (e.target.closest?.('.form-field-submit') && !session.submitting) submit(root, options);
+            }],
+            ['keydown', (e) => {
+                // Enter in a single-line field submits, like it does in a <form>
+                const control = e.target.closest?.('input.form-field-control');
+                if (e.key === 'Enter' && control && !session.submitting) {
+                    e.preventDefault();
+                    submit(root, options);
+                }
+            }],
+            // A field showing an error is checked again as soon as it changes
+            ...['input', 'change'].map(type => [type, (e) => {
+                const field = e.target.closest?.('.form-field-component');
+                if (field?.dataset.invalid === 'true') showFieldError(field, validateField(field, root));
+            }])
+        ];
+        listeners.forEach(([type, handler]) => root.addEventListener(type, handler));
+
+        session = { root, options, listeners, submitting: false };
+        console.log('Form runtime attached to:', root.id);
+    }
+
+    function detach() {
+        if (!session) return;
+        const {root, listeners} = session;
+        listeners.forEach(([type, handler]) => root.removeEventListener(type, handler));
+        clearErrors(root);
+        setSubmitting(root, false);
+        session = null;
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="form-runtime"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'form-runtime');
+        style.textContent = `
+            .form-field-error {
+                position: absolute; left: 8px; top: 100%; margin-top: 2px;
+                color: #c00; font-size: 11px; white-space: nowrap; pointer-events: none;
+            }
+            .form-field-component[data-invalid="true"] .form-field-control { border-color: #c00; outline-color: #c00; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // The editor's Preview mode is the form in use
+    document.addEventListener('appModeChanged', (e) => {
+        const canvas = document.getElementById('mainCanvas');
+        if (e.detail?.mode === 'preview' && canvas) {
+            attach(canvas);
+        } else {
+            detach();
+        }
+    });
+
+    window.FormRuntime = {
+        attach,
+        detach,
+        collect,
+        validate,
+        submit,
+        readValue
+    };
+
+    console.log('Form Runtime Handler loaded and ready');
+})();
@@ -0,0 +1,218 @@
+// History Handler.js - Undo/redo for completed canvas operations
+// Commands store a snapshot of each element before and after the operation:
+//   { label, entries: [{ element, before, after }] }
+// Operations started through window.EventsHandler are recorded automatically,
+// one-off operations (e.g. convertToGallery) call History.record() themselves.
+
+(function() {
+    const MAX_HISTORY = 100;
+
+    // Inline styles that describe geometry and appearance (selection/drag visuals are not restored)
+    const TRACKED_STYLES = ['left', 'top', 'width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+                            'backgroundColor', 'border', 'borderRadius'];
+
+    let undoStack = [];
+    let redoStack = [];
+    let pending = null; // { element, entries: [{ element, before }] } for the operation in flight
+
+    // === SNAPSHOTS ===
+    function capture(element) {
+        const style = {};
+        TRACKED_STYLES.forEach(prop => {
+            style[prop] = element.style[prop];
+        });
+
+        return {
+            parent: element.parentElement,
+            nextSibling: nextComponentSibling(element),
+            id: element.id,
+            component: element.getAttribute('data-component'),
+            classes: Array.from(element.classList).filter(cls => cls !== 'selected'),
+            behaviors: window.BehaviorRegistry?.getAttached(element) || [],
+            config: window.ComponentTypeRegistry?.readConfig(element) || {},
+            style
+        };
+    }
+
+    // Resize handles and indicators come and go, so order is tracked against components only
+    function nextComponentSibling(element) {
+        let sibling = element.nextElementSibling;
+        while (sibling && !sibling.classList.contains('base-user-component')) {
+            sibling = sibling.nextElementSibling;
+        }
+        return sibling;
+    }
+
+    function isSameSnapshot(a, b) {
+        return a.parent === b.parent &&
+               a.nextSibling === b.nextSibling &&
+               a.id === b.id &&
+               a.component === b.component &&
+               a.classes.join(' ') === b.classes.join(' ') &&
+               JSON.stringify(a.config) === JSON.stringify(b.config) &&
+               TRACKED_STYLES.every(prop => a.style[prop] === b.style[prop]);
+    }
+
+    function applySnapshot(element, snapshot) {
+        const previousParent = element.parentElement;
+
+        // Snapshot of a removed element - removed the way a delete removes it
+        if (!snapshot.parent) {
+            if (window.OperationsUtility) {
+                window.OperationsUtility.removeComponent(element);
+            } else {
+                element.remove();
+                reflowGallery(previousParent);
+            }
+            return;
+        }
+
+        if ((previousParent !== snapshot.parent || nextComponentSibling(element) !== snapshot.nextSibling)) {
+            const reference = snapshot.nextSibling?.parentElement === snapshot.parent ? snapshot.nextSibling : null;
+            snapshot.parent.insertBefore(element, reference);
+        }
+
+        const isSelected = element.classList.contains('selected');
+        element.className = snapshot.classes.join(' ');
+        element.classList.toggle('selected', isSelected);
+        element.id = snapshot.id;
+        element.setAttribute('data-component', snapshot.component);
+
+        // Type changes (convertToGallery, nesting into a gallery) swapped behaviors too
+        if (window.BehaviorRegistry && snapshot.behaviors.length) {
+            window.BehaviorRegistry.setBehaviors(element, snapshot.behaviors);
+        }
+
+        TRACKED_STYLES.forEach(prop => {
+            element.style[prop] = snapshot.style[prop];
+        });
+
+        // Label and type settings (e.g. gallery gap) edited in the properties panel
+        // (the generic keys a snapshot leaves out were unset)
+        if (window.ComponentTypeRegistry &&
+            JSON.stringify(window.ComponentTypeRegistry.readConfig(element)) !== JSON.stringify(snapshot.config)) {
+            window.ComponentTypeRegistry.applyConfig(element, {
+                label: '', snapGrid: '', snapPadding: '', layerName: '', hidden: '', locked: '', ...snapshot.config
+            });
+        }
+
+        // Gallery layout is derived from its children, so re-flow every gallery involved
+        new Set([previousParent, snapshot.parent, element]).forEach(reflowGallery);
+    }
+
+    function reflowGallery(element) {
+        if (!element?.classList?.contains('gallery-component') || !window.GalleryComponentFactory) return;
+        window.GalleryComponentFactory.updateChildWidths(element);
+        window.GalleryComponentFactory.updateGalleryHeight(element);
+    }
+
+    // === COMMANDS ===
+    function push(command) {
+        undoStack.push(command);
+        if (undoStack.length > MAX_HISTORY) undoStack.shift();
+        redoStack = [];
+        notify();
+    }
+
+    function record(label, element, before) {
+        if (!element || !before) return null;
+        return recordEntries(label, [{ element, before }]);
+    }
+
+    // Record one command for several elements changed by the same operation
+    function recordEntries(label, entries) {
+        const changed = entries
+            .map(({element, before}) => ({ element, before, after: capture(element) }))
+            .filter(({before, after}) => !isSameSnapshot(before, after));
+        if (!changed.length) return null;
+
+        const command = { label, entries: changed };
+        push(command);
+        console.log('History recorded:', label, describe(command));
+        return command;
+    }
+
+    function undo() {
+        if (isOperationActive()) return false;
+        const command = undoStack.pop();
+        if (!command) return false;
+
+        command.entries.slice().reverse().forEach(({element, before}) => applySnapshot(element, before));
+        redoStack.push(command);
+        notify();
+        console.log('Undo:', command.label, describe(command));
+        return true;
+    }
+
+    function redo() {
+        if (isOperationActive()) return false;
+        const command = redoStack.pop();
+        if (!command) return false;
+
+        command.entries.forEach(({element, after}) => applySnapshot(element, after));
+        undoStack.push(command);
+        notify();
+        console.log('Redo:', command.label, describe(command));
+        return true;
+    }
+
+    function describe(command) {
+        return command.entries.map(({element}) => element.id).join(', ');
+    }
+
+    function clear() {
+        undoStack = [];
+        redoStack = [];
+        pending = null;
+        notify();
+    }
+
+    function isOperationActive() {
+        return !!window.EventsHandler?.getState?.().operation;
+    }
+
+    function notify() {
+        document.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 }
+        }));
+    }
+
+    // === EVENTS HANDLER INTEGRATION ===
+    document.addEventListener('operationStarted', (e) => {
+        const {element, elements = [element]} = e.detail;
+        if (pending?.element === element) return; // Same operation started by more than one behavior
+        pending = { element, entries: elements.map(el => ({ element: el, before: capture(el) })) };
+    });
+
+    document.addEventListener('operationCompleted', (e) => {
+        const {operation, element} = e.detail;
+        if (!pending || pending.element !== element) return;
+        recordEntries(operation, pending.entries);
+        pending = null;
+    });
+
+    document.addEventListener('operationCancelled', () => {
+        pending = null;
+    });
+
+    // A loaded document replaces every element the history refers to
+    document.addEventListener('formDocumentLoaded', clear);
+
+    // Ctrl+Z / Ctrl+Shift+Z are routed by the Events Handler keyboard table
+    document.addEventListener('requestUndo', undo);
+    document.addEventListener('requestRedo', redo);
+
+    // === PUBLIC API ===
+    window.History = {
+        capture,
+        record,
+        recordEntries,
+        undo,
+        redo,
+        clear,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0
+    };
+
+    console.log('History Handler loaded and ready');
+})();
@@ -1,44 +1,214 @@
 //sets the "context" section of Main App\Components\Developer Level\Registers\Handler Data.json using event handlers
-function handleMousedown(e){
+// Pointer Events cover mouse, touch and pen - the context keeps its "mouse" names for the Events Handler
+
+// Touch/pen press held this long (ms) without moving opens the right-click menu
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_TOLERANCE = 10;
+
+let longPressTimeout = null;
+
+function createPointerRecord(e) {
+    return {
+        element: e.target,
+        "component type": e.target.dataset?.component,
+        button: e.button,
+        pointerId: e.pointerId,
+        pointerType: e.pointerType || 'mouse',
+        pressure: e.pressure ?? 0,
+        x: e.clientX,
+        y: e.clientY,
+        shiftKey: e.shiftKey,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        time: Date.now()
+    };
+}
+
+// Tell the Events Handler the context changed - it reacts instead of polling
+function notifyInputContextUpdated(type) {
+    document.dispatchEvent(new CustomEvent('inputContextUpdated', {detail: {type}}));
+}
+
+function handlePointerDown(e){
+    // Extra fingers of a multi-touch gesture are not separate interactions
+    if (e.isPrimary === false) return;
+
     // Update the context in the handler data
     if (window.handlerData) {
-        window.handlerData['shared handler data'][0]['context']['on last mouse down'] = {
-            element: e.target,
-            "component type": e.target.dataset.component,
-            button: e.button,
-            x: e.clientX,
-            y: e.clientY,
-            time: Date.now()
-        };
+        const context = window.handlerData['shared handler data'][0]['context'];
+        context['on last mouse down'] = createPointerRecord(e);
+        context['now'] = createPointerRecord(e);
+
+        // Keep receiving moves for the drag even when the pointer leaves the pressed element,
+        // middle drags included as they pan the canvas view
+        // (Preview has no drags, and capture would keep the form's own controls from the press)
+        const editing = window.handlerData['shared handler data'][0]['selectedMode'] !== 'preview';
+        if ((e.button === 0 || e.button === 1) && editing && e.target.closest?.('#mainCanvas')) {
+            e.target.setPointerCapture?.(e.pointerId);
+        }
+
+        if (e.pointerType === 'touch' || e.pointerType === 'pen') {
+            startLongPress(e);
+        }
+
+        notifyInputContextUpdated('mousedown');
+    }
+};
+
+function handlePointerMove(e) {
+    if (e.isPrimary === false) return;
+
+    // Update the context in the handler data
+    if (window.handlerData) {
+        const context = window.handlerData['shared handler data'][0]['context'];
+        context['now'] = createPointerRecord(e);
+
+        const down = context['on last mouse down'];
+        if (longPressTimeout && Math.abs(e.clientX - down.x) + Math.abs(e.clientY - down.y) > LONG_PRESS_TOLERANCE) {
+            cancelLongPress();
+        }
+
+        notifyInputContextUpdated('mousemove');
+    }
+};
+
+function handlePointerUp(e) {
+    if (e.isPrimary === false) return;
+    cancelLongPress();
+
+    // Update the context in the handler data
+    if (window.handlerData) {
+        const context = window.handlerData['shared handler data'][0]['context'];
+        context['on last mouse up'] = createPointerRecord(e);
+        context['now'] = createPointerRecord(e);
+        notifyInputContextUpdated('mouseup');
     }
 };
 
-function handleMouseMove(e) {
-    const mousedown_time = window.handlerData ? window.handlerData['shared handler data'][0]['context']['on last mouse down']['time'] : null;
-    const mousemove_duration = Date.now() - mousedown_time;
+function handleWheel(e) {
     // Update the context in the handler data
     if (window.handlerData) {
-        window.handlerData['shared handler data'][0]['context']['now'] = {
+        const context = window.handlerData['shared handler data'][0]['context'];
+        context['on last wheel'] = {
             element: e.target,
-            "component type": e.target.dataset.component,
-            button: e.button,
             x: e.clientX,
             y: e.clientY,
+            deltaX: e.deltaX,
+            deltaY: e.deltaY,
+            deltaMode: e.deltaMode,
+            ctrlKey: e.ctrlKey,
+            metaKey: e.metaKey,
             time: Date.now()
         };
+
+        // Ctrl+wheel (and trackpad pinch) zooms the canvas instead of the page
+        if (window.EventsHandler?.isWheelZoom?.(context['on last wheel'])) {
+            e.preventDefault();
+        }
+        notifyInputContextUpdated('wheel');
+    }
+};
+
+function startLongPress(e) {
+    cancelLongPress();
+    const record = createPointerRecord(e);
+    longPressTimeout = setTimeout(() => {
+        longPressTimeout = null;
+        if (window.handlerData) {
+            window.handlerData['shared handler data'][0]['context']['on last long press'] = { ...record, time: Date.now() };
+            notifyInputContextUpdated('longpress');
+        }
+    }, LONG_PRESS_DELAY);
+}
+
+function cancelLongPress() {
+    if (longPressTimeout) {
+        clearTimeout(longPressTimeout);
+        longPressTimeout = null;
+    }
+}
+
+function isEditableTarget(target) {
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+function recordKeyEvent(e, type) {
+    const keyboard = window.handlerData['shared handler data'][0]['context']['keyboard'];
+    keyboard['modifiers'] = {
+        shift: e.shiftKey,
+        ctrl: e.ctrlKey,
+        alt: e.altKey,
+        meta: e.metaKey
+    };
+    keyboard['last key event'] = {
+        type: type,
+        element: e.target,
+        key: e.key,
+        code: e.code,
+        repeat: e.repeat,
+        editable: isEditableTarget(e.target),
+        shiftKey: e.shiftKey,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        sequence: (keyboard['last key event']?.sequence || 0) + 1,
+        time: Date.now()
+    };
+    return keyboard['last key event'];
+}
+
+function handleKeydown(e) {
+    // Update the context in the handler data
+    if (window.handlerData) {
+        const keyEvent = recordKeyEvent(e, 'keydown');
+        window.handlerData['shared handler data'][0]['context']['keyboard']['keys down'][e.key] = true;
+
+        // Keep the browser from scrolling/bookmarking on keys the editor owns
+        if (window.EventsHandler?.isShortcut?.(keyEvent)) {
+            e.preventDefault();
+        }
+        notifyInputContextUpdated('keydown');
     }
 };
 
-function handleMouseUp(e) {
+function handleKeyup(e) {
     // Update the context in the handler data
     if (window.handlerData) {
-        window.handlerData['shared handler data'][0]['context']['on last mouse up'] = {
+        recordKeyEvent(e, 'keyup');
+        delete window.handlerData['shared handler data'][0]['context']['keyboard']['keys down'][e.key];
+        notifyInputContextUpdated('keyup');
+    }
+};
+
+// copy / cut / paste - the clipboard data is only readable and writable while the event is dispatched,
+// so the Events Handler handles it synchronously through 'inputContextUpdated'
+function handleClipboard(e) {
+    if (window.handlerData) {
+        const context = window.handlerData['shared handler data'][0]['context'];
+        context['on last clipboard'] = {
+            type: e.type,
             element: e.target,
-            "component type": e.target.dataset.component,
-            button: e.button,
-            x: e.clientX,
-            y: e.clientY,
+            editable: isEditableTarget(e.target),
+            hasTextSelection: !!window.getSelection?.()?.toString(),
+            clipboardData: e.clipboardData,
             time: Date.now()
         };
+
+        // The editor writes (or reads) the components itself
+        if (window.EventsHandler?.isClipboardCommand?.(context['on last clipboard'])) {
+            e.preventDefault();
+        }
+        notifyInputContextUpdated('clipboard');
+        context['on last clipboard'].clipboardData = null;
+    }
+};
+
+function handleWindowBlur() {
+    // Keyup never arrives for keys held while the window loses focus
+    if (window.handlerData) {
+        const keyboard = window.handlerData['shared handler data'][0]['context']['keyboard'];
+        keyboard['keys down'] = {};
+        keyboard['modifiers'] = { shift: false, ctrl: false, alt: false, meta: false };
     }
-};
\ No newline at end of file
+};
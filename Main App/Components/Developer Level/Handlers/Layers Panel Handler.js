@@ -0,0 +1,395 @@
+// Layers Panel Handler.js - Outline of the component tree in #mainCanvas, shown in the sidebar
+// One row per component, indented under its parent. Front-most components are listed first,
+// except inside galleries, which list their children in the order they stack.
+//      click                   selects the component (Shift adds, Ctrl/Cmd toggles) - rows follow selectedElementList
+//      drag a row              drops it before/after another row, or into a container (middle of its row):
+//                              a new parent goes through performNesting, galleries reorder through performReorder
+//      eye / lock              hides the component while editing / keeps it from being moved and resized
+//      double-click the name   renames it (layerName in its config)
+// Layer settings are part of the component config (see Component Type Registry), every change is one History command.
+
+(function() {
+    // Pointer travel (px) before a press on a row becomes a drag
+    const DRAG_THRESHOLD = 4;
+    const INDENT = 12;
+
+    let panel = null;
+    let tree = null;
+    let refreshFrame = null;
+    let renaming = null;             // Component whose name is being edited
+    let drag = null;                 // { element, startX, startY, active, drop } for the row being dragged
+    let suppressClick = false;       // The click that ends a drag is not a selection
+    const collapsed = new WeakSet(); // Containers whose children are folded away
+
+    const isComponent = (el) => !!el?.classList?.contains('base-user-component');
+    const isGallery = (el) => el.classList.contains('gallery-component');
+    const isCanvas = (el) => el?.id === 'mainCanvas';
+
+    function getSelected() {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        return Object.values(inputs?.['selectedElementList'] || {}).filter(el => el?.isConnected);
+    }
+
+    function isEditMode() {
+        return window.ModeManager?.isEditMode?.() ?? true;
+    }
+
+    // === TREE ===
+    // Component children in the order they are listed
+    function getChildren(container) {
+        const children = Array.from(container.children).filter(isComponent);
+        return isGallery(container) ? children : children.reverse();
+    }
+
+    function getName(component) {
+        return component.dataset.layerName || component.dataset.label ||
+               window.ComponentTypeRegistry?.readConfig(component).name || component.id;
+    }
+
+    function render() {
+        if (!tree || renaming) return;
+        const canvas = document.getElementById('mainCanvas');
+        tree.textContent = '';
+        if (!canvas) return;
+
+        tree.appendChild(createRow(canvas, 0));
+        appendChildren(canvas, 1);
+        updateSelection();
+    }
+
+    function appendChildren(container, depth) {
+        if (collapsed.has(container)) return;
+        getChildren(container).forEach(child => {
+            tree.appendChild(createRow(child, depth));
+            appendChildren(child, depth + 1);
+        });
+    }
+
+    function createRow(component, depth) {
+        const row = document.createElement('div');
+        row.className = 'layers-row';
+        row.dataset.target = component.id;
+        row.style.paddingLeft = (depth * INDENT + 2) + 'px';
+        row.classList.toggle('layers-hidden', !!component.closest?.('[data-hidden="true"]'));
+        row.classList.toggle('layers-locked', !!window.OperationsUtility?.isLocked(component));
+
+        const hasChildren = getChildren(component).length > 0;
+        const toggle = row.appendChild(document.createElement('span'));
+        toggle.className = 'layers-toggle';
+        toggle.textContent = hasChildren ? (collapsed.has(component) ? '▸' : '▾') : '';
+
+        const name = row.appendChild(document.createElement('span'));
+        name.className = 'layers-name';
+        name.textContent = isCanvas(component) ? 'Canvas' : getName(component);
+        name.title = component.id;
+
+        if (!isCanvas(component)) {
+            row.appendChild(createAction('visibility', component.dataset.hidden === 'true' ? '○' : '◉',
+                component.dataset.hidden === 'true' ? 'Show' : 'Hide'));
+            row.appendChild(createAction('lock', component.dataset.locked === 'true' ? '\u{1F512}' : '\u{1F513}',
+                component.dataset.locked === 'true' ? 'Unlock' : 'Lock'));
+        }
+        return row;
+    }
+
+    function createAction(action, symbol, title) {
+        const button = document.createElement('span');
+        button.className = 'layers-action';
+        button.setAttribute('role', 'button');
+        button.dataset.action = action;
+        button.textContent = symbol;
+        button.title = title;
+        return button;
+    }
+
+    function getRowTarget(row) {
+        return row ? document.getElementById(row.dataset.target) : null;
+    }
+
+    function updateSelection() {
+        if (!tree) return;
+        const selected = new Set(getSelected().map(el => el.id));
+        tree.querySelectorAll('.layers-row').forEach(row => {
+            const isSelected = selected.has(row.dataset.target);
+            if (isSelected && !row.classList.contains('selected')) row.scrollIntoView?.({ block: 'nearest' });
+            row.classList.toggle('selected', isSelected);
+        });
+    }
+
+    function scheduleRefresh() {
+        if (!panel || refreshFrame) return;
+        refreshFrame = requestAnimationFrame(() => {
+            refreshFrame = null;
+            render();
+        });
+    }
+
+    // === SELECTION ===
+    function selectFromRow(component, e) {
+        if (!isComponent(component) || !isEditMode()) return;
+        const isSelected = component.classList.contains('selected');
+
+        if (e.ctrlKey || e.metaKey) {
+            if (isSelected) window.deselectComponent?.(component);
+            else window.selectComponent?.(component);
+        } else if (e.shiftKey) {
+            if (!isSelected) window.selectComponent?.(component);
+        } else {
+            window.clearAllSelections?.();
+            window.selectComponent?.(component);
+        }
+    }
+
+    // === LAYER SETTINGS ===
+    function setLayerSetting(component, key, value, label) {
+        const before = window.History?.capture(component);
+        window.ComponentTypeRegistry.applyConfig(component, { [key]: value });
+        if (before) window.History.record(label, component, before);
+        if (key === 'locked' && value) component.dispatchEvent(new CustomEvent('hideResizeHandles'));
+        scheduleRefresh();
+    }
+
+    function toggleVisibility(component) {
+        const hidden = component.dataset.hidden !== 'true';
+        setLayerSetting(component, 'hidden', hidden, hidden ? 'hide' : 'show');
+    }
+
+    function toggleLock(component) {
+        const locked = component.dataset.locked !== 'true';
+        setLayerSetting(component, 'locked', locked, locked ? 'lock' : 'unlock');
+    }
+
+    // === RENAME ===
+    function startRename(component, nameElement) {
+        if (!isComponent(component) || renaming) return;
+        renaming = component;
+
+        const input = document.createElement('input');
+        input.className = 'layers-rename';
+        input.value = getName(component);
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            renaming = null;
+            const value = input.value.trim();
+            // Clearing the name goes back to the default one
+            if (commit && value !== getName(component)) {
+                setLayerSetting(component, 'layerName', value, 'rename');
+            }
+            render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // === DRAG AND DROP ===
+    // Where a row drop would put the component: { parent, target, position: 'before' | 'after' | 'inside' }
+    function getDrop(element, clientY) {
+        const rows = Array.from(tree.querySelectorAll('.layers-row'));
+        const row = rows.find(candidate => {
+            const rect = candidate.getBoundingClientRect();
+            return clientY >= rect.top && clientY < rect.bottom;
+        });
+        const target = getRowTarget(row);
+        if (!target || target === element || element.contains(target)) return null;
+
+        const rect = row.getBoundingClientRect();
+        const fraction = (clientY - rect.top) / (rect.height || 1);
+        const middle = fraction > 0.25 && fraction < 0.75;
+
+        if (isCanvas(target) || (middle && canNestInto(element, target))) {
+            return canNestInto(element, target) ? { row, parent: target, target, position: 'inside' } : null;
+        }
+        const parent = target.parentElement;
+        if (!canNestInto(element, parent)) return null;
+        return { row, parent, target, position: fraction < 0.5 ? 'before' : 'after' };
+    }
+
+    // Same rules as a nesting drop on the canvas
+    function canNestInto(element, parent) {
+        if (!parent || element.contains(parent)) return false;
+        if (parent === element.parentElement) return true;
+        return parent.classList.contains('acceptsChildren') && element.classList.contains('isNestable');
+    }
+
+    function showDrop(drop) {
+        tree.querySelectorAll('.layers-drop-before, .layers-drop-after, .layers-drop-inside').forEach(row => {
+            row.classList.remove('layers-drop-before', 'layers-drop-after', 'layers-drop-inside');
+        });
+        if (drop) drop.row.classList.add(`layers-drop-${drop.position}`);
+    }
+
+    // Rows are listed front to back outside galleries, so 'before' a row is in front of it (after it in the DOM)
+    function applyDrop(element, {parent, target, position}) {
+        const before = window.History?.capture(element);
+        const previousParent = element.parentElement;
+
+        if (parent !== previousParent) {
+            window.NestingBehavior.performNesting(element, parent);
+        }
+
+        const siblings = window.OperationsUtility.getStackSiblings(element).filter(sibling => sibling !== element);
+        // Dropped on a container row: in front of its children, or at the end of a gallery
+        let index = siblings.length;
+        if (position !== 'inside') {
+            const afterInDom = isGallery(parent) ? position === 'after' : position === 'before';
+            index = siblings.indexOf(target) + (afterInDom ? 1 : 0);
+        }
+
+        if (isGallery(parent)) {
+            window.GalleryReorderBehavior.performReorder(element, siblings[index - 1]?.id || 'beginning');
+        } else {
+            window.OperationsUtility.setStackIndex(element, index);
+        }
+
+        if (before) window.History.record('layers', element, before);
+        console.log('Layers panel moved component:', element.id, position, target.id);
+    }
+
+    function handlePointerDown(e) {
+        if (e.button !== 0 || !isEditMode() || e.target.closest('.layers-action, .layers-toggle, .layers-rename')) return;
+        const element = getRowTarget(e.target.closest('.layers-row'));
+        if (!isComponent(element) || window.OperationsUtility?.isLocked(element)) return;
+
+        drag = { element, startX: e.clientX, startY: e.clientY, active: false, drop: null };
+        tree.setPointerCapture?.(e.pointerId);
+    }
+
+    function handlePointerMove(e) {
+        if (!drag) return;
+        if (!drag.active) {
+            if (Math.abs(e.clientX - drag.startX) + Math.abs(e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+            drag.active = true;
+            tree.classList.add('layers-dragging');
+        }
+        drag.drop = getDrop(drag.element, e.clientY);
+        showDrop(drag.drop);
+    }
+
+    function handlePointerUp() {
+        if (!drag) return;
+        const {element, active, drop} = drag;
+        drag = null;
+        tree.classList.remove('layers-dragging');
+        showDrop(null);
+
+        if (!active) return;
+        suppressClick = true;
+        if (drop) applyDrop(element, drop);
+        scheduleRefresh();
+    }
+
+    function handleClick(e) {
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+        const row = e.target.closest('.layers-row');
+        const component = getRowTarget(row);
+        if (!component) return;
+
+        const action = e.target.closest('.layers-action')?.dataset.action;
+        if (action === 'visibility') return toggleVisibility(component);
+        if (action === 'lock') return toggleLock(component);
+
+        if (e.target.closest('.layers-toggle')) {
+            if (collapsed.has(component)) collapsed.delete(component);
+            else collapsed.add(component);
+            return render();
+        }
+        selectFromRow(component, e);
+    }
+
+    function handleDoubleClick(e) {
+        const name = e.target.closest('.layers-name');
+        if (name) startRename(getRowTarget(name.closest('.layers-row')), name);
+    }
+
+    // === INITIALIZATION ===
+    function initialize(panelElement = document.getElementById('layersPanel')) {
+        if (!panelElement || panelElement.dataset.layersInitialized) return;
+        panelElement.dataset.layersInitialized = 'true';
+        panel = panelElement;
+
+        ensureStylesLoaded();
+        panel.textContent = '';
+        panel.appendChild(document.createElement('h3')).textContent = 'Layers';
+        tree = document.createElement('div');
+        tree.className = 'layers-tree';
+        panel.appendChild(tree);
+
+        tree.addEventListener('pointerdown', handlePointerDown);
+        tree.addEventListener('pointermove', handlePointerMove);
+        tree.addEventListener('pointerup', handlePointerUp);
+        tree.addEventListener('pointercancel', handlePointerUp);
+        tree.addEventListener('click', handleClick);
+        tree.addEventListener('dblclick', handleDoubleClick);
+
+        // Components added, removed, nested or renamed outside the panel (handles and guides come and go too often)
+        const canvas = document.getElementById('mainCanvas');
+        if (canvas) {
+            new MutationObserver(records => {
+                const relevant = records.some(record => record.type === 'attributes' ||
+                    [...record.addedNodes, ...record.removedNodes].some(isComponent));
+                if (relevant) scheduleRefresh();
+            }).observe(canvas, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['id', 'data-component', 'data-label', 'data-layer-name', 'data-hidden', 'data-locked']
+            });
+        }
+
+        render();
+        console.log('Layers panel attached to:', panel.id);
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="layers-panel"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'layers-panel');
+        style.textContent = `
+            #layersPanel { flex: 1; min-height: 0; overflow-y: auto; margin-bottom: 50px; }
+            .layers-tree { font-size: 12px; user-select: none; touch-action: none; }
+            .layers-row {
+                display: flex; align-items: center; gap: 4px; height: 20px; cursor: pointer;
+                border-top: 2px solid transparent; border-bottom: 2px solid transparent;
+            }
+            .layers-row:hover { background-color: #e4e4e4; }
+            .layers-row.selected { background-color: rgba(0, 122, 204, 0.2); }
+            .layers-row.layers-hidden .layers-name { opacity: 0.45; }
+            .layers-row.layers-locked .layers-name { font-style: italic; }
+            .layers-toggle { width: 10px; flex: none; text-align: center; }
+            .layers-name { flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+            .layers-action { flex: none; width: 16px; text-align: center; opacity: 0.6; }
+            .layers-action:hover { opacity: 1; }
+            .layers-rename { flex: 1; min-width: 0; font-size: 12px; }
+            .layers-dragging .layers-row { cursor: grabbing; }
+            .layers-row.layers-drop-before { border-top-color: #007acc; }
+            .layers-row.layers-drop-after { border-bottom-color: #007acc; }
+            .layers-row.layers-drop-inside { outline: 2px solid #007acc; outline-offset: -2px; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Anything that can change the tree or the selection refreshes the panel
+    document.addEventListener('selectionChanged', updateSelection);
+    ['operationCompleted', 'operationCancelled', 'historyChanged', 'formDocumentLoaded']
+        .forEach(type => document.addEventListener(type, scheduleRefresh));
+
+    window.LayersPanel = {
+        initialize,
+        refresh: render
+    };
+
+    console.log('Layers Panel Handler loaded and ready');
+})();
@@ -0,0 +1,119 @@
+// Mode Handler.js - Switches the app between the "app states" listed in Handler Data.json
+// The current mode lives in "selectedMode" of the shared handler data (always lower case):
+//      edit        the editor - components can be selected, moved, resized and nested
+//      preview     the form as users see it - editor routes are off and embedded controls are live
+// The Events Handler and Inputs Handler read selectedMode, everything else listens for 'appModeChanged'.
+// Preview only hides the editor (stylesheet keyed on body[data-app-mode]) and never clears it,
+// so the selection, sidebar and properties panel are exactly as they were when switching back.
+
+(function() {
+    const DEFAULT_MODES = ['edit', 'preview'];
+
+    // Toggle button look per mode
+    const TOGGLE_STYLES = {
+        edit: { text: 'Edit', backgroundColor: '#800080' },     // purple
+        preview: { text: 'Preview', backgroundColor: '#0000FF' } // blue
+    };
+
+    let toggleButton = null;
+
+    function getSharedData() {
+        return window.handlerData?.['shared handler data']?.[0];
+    }
+
+    function getModes() {
+        return (getSharedData()?.['app states'] || DEFAULT_MODES).map(mode => String(mode).toLowerCase());
+    }
+
+    function getMode() {
+        return String(getSharedData()?.selectedMode || 'edit').toLowerCase();
+    }
+
+    function setMode(mode) {
+        const next = String(mode).toLowerCase();
+        if (!getModes().includes(next)) {
+            console.warn('Unknown app mode:', mode);
+            return getMode();
+        }
+
+        const previous = getMode();
+        const shared = getSharedData();
+        if (shared) shared.selectedMode = next;
+        window.appMode = next;
+        document.body.dataset.appMode = next;
+        updateToggleButton();
+
+        if (next !== previous) {
+            if (next === 'preview') leaveEditor();
+            document.dispatchEvent(new CustomEvent('appModeChanged', { detail: { mode: next, previous } }));
+            console.log('App mode changed:', previous, '->', next);
+        }
+        return next;
+    }
+
+    function toggleMode() {
+        const modes = getModes();
+        return setMode(modes[(modes.indexOf(getMode()) + 1) % modes.length]);
+    }
+
+    // Nothing in flight may carry over into Preview - the selection itself is kept for the way back
+    function leaveEditor() {
+        window.EventsHandler?.cancel();
+        window.BaseUserComponentRightClickMenu?.close();
+
+        const selected = Object.values(getSharedData()?.inputs?.['selectedElementList'] || {});
+        selected.forEach(element => element?.dispatchEvent(new CustomEvent('hideResizeHandles')));
+    }
+
+    function updateToggleButton() {
+        if (!toggleButton) return;
+        const style = TOGGLE_STYLES[getMode()] || TOGGLE_STYLES.edit;
+        toggleButton.textContent = style.text;
+        toggleButton.style.backgroundColor = style.backgroundColor;
+    }
+
+    // Called once the handler data is loaded, applies its selectedMode
+    function initialize(button = document.getElementById('togglePreview')) {
+        ensureStylesLoaded();
+        if (button && button !== toggleButton) {
+            toggleButton = button;
+            toggleButton.addEventListener('click', () => toggleMode());
+        }
+        return setMode(getMode());
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="app-mode"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'app-mode');
+        style.textContent = `
+            /* Preview hides the editor chrome */
+            body[data-app-mode="preview"] #sidebar,
+            body[data-app-mode="preview"] #propertiesPanel,
+            body[data-app-mode="preview"] #toggleSidebar,
+            body[data-app-mode="preview"] #togglePanel,
+            body[data-app-mode="preview"] .resize-handle,
+            body[data-app-mode="preview"] .snap-guideline { display: none !important; }
+            body[data-app-mode="preview"] .base-user-component.selected,
+            body[data-app-mode="preview"] .base-user-component[data-nesting-target="true"] {
+                outline: none; background-image: none;
+            }
+            body[data-app-mode="preview"] .base-user-component { cursor: default; }
+            /* Edit keeps embedded controls from acting, presses select the component instead */
+            body:not([data-app-mode="preview"]) .signin-gallery { pointer-events: none; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    window.ModeManager = {
+        initialize,
+        getModes,
+        getMode,
+        setMode,
+        toggleMode,
+        isEditMode: () => getMode() === 'edit',
+        isPreviewMode: () => getMode() === 'preview'
+    };
+
+    console.log('Mode Handler loaded and ready');
+})();
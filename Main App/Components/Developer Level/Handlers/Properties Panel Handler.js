@@ -0,0 +1,465 @@
+// Properties Panel Handler.js - Edits the components in selectedElementList from #propertiesPanel
+// Fields apply live while typing, each committed edit (change event) is one History command.
+// Size edits end with the same completeResize event and gallery re-flow a resize drag ends with,
+// labels and type settings go through window.ComponentTypeRegistry.applyConfig().
+// With nothing selected it edits the form-wide settings (window.FormDocument.getSettings/setSettings).
+
+(function() {
+    let panel = null;
+    let content = null;
+    let renderedSignature = null;
+    let refreshFrame = null;
+    let pendingEdit = null; // [{ element, before }] for the edit being typed
+
+    const utility = () => window.OperationsUtility;
+    const isGalleryChild = (el) => el.classList.contains('gallery-child');
+    const isGallery = (el) => el.classList.contains('gallery-component');
+
+    // === FIELDS ===
+    // get(el) returns the displayed value, set(el, value) applies it
+    const COMMON_FIELDS = [
+        { section: 'Layout' },
+        {
+            key: 'left', label: 'X', type: 'number', geometry: true,
+            // Gallery children are positioned by their gallery
+            supports: (el) => !isGalleryChild(el),
+            get: (el) => Math.round(utility().getStyleNumber(el, 'left')),
+            set: (el, value) => { el.style.left = value + 'px'; }
+        },
+        {
+            key: 'top', label: 'Y', type: 'number', geometry: true,
+            supports: (el) => !isGalleryChild(el),
+            get: (el) => Math.round(utility().getStyleNumber(el, 'top')),
+            set: (el, value) => { el.style.top = value + 'px'; }
+        },
+        {
+            key: 'width', label: 'Width', type: 'number', geometry: true, resize: true,
+            supports: (el) => utility().getCapabilities(el).x && !isGalleryChild(el),
+            get: (el) => Math.round(utility().getStyleNumber(el, 'width')),
+            set: (el, value) => { el.style.width = utility().clampSize(el, 'width', value, 1) + 'px'; }
+        },
+        {
+            key: 'height', label: 'Height', type: 'number', geometry: true, resize: true,
+            // Gallery height is the sum of its children
+            supports: (el) => utility().getCapabilities(el).y && !isGallery(el),
+            get: (el) => Math.round(utility().getStyleNumber(el, 'height')),
+            set: (el, value) => { el.style.height = utility().clampSize(el, 'height', value, 1) + 'px'; }
+        },
+        {
+            key: 'zOrder', label: 'Z-order', type: 'number', min: 0,
+            supports: (el) => !isGalleryChild(el),
+            get: (el) => utility().getStackIndex(el),
+            set: (el, value) => utility().setStackIndex(el, value)
+        },
+        { section: 'Size limits' },
+        sizeLimitField('minWidth', 'Min width', 'x'),
+        sizeLimitField('maxWidth', 'Max width', 'x'),
+        sizeLimitField('minHeight', 'Min height', 'y'),
+        sizeLimitField('maxHeight', 'Max height', 'y'),
+        { section: 'Appearance' },
+        {
+            key: 'backgroundColor', label: 'Background', type: 'color',
+            get: (el) => toHex(getComputedStyle(el).backgroundColor),
+            set: (el, value) => { el.style.backgroundColor = value; }
+        },
+        {
+            key: 'border', label: 'Border', type: 'text', placeholder: '1px solid #ccc',
+            get: (el) => el.style.border || getComputedStyle(el).border,
+            set: (el, value) => { el.style.border = value; }
+        },
+        {
+            key: 'borderRadius', label: 'Radius', type: 'number', min: 0,
+            get: (el) => Math.round(parseFloat(getComputedStyle(el).borderTopLeftRadius) || 0),
+            set: (el, value) => { el.style.borderRadius = Math.max(value, 0) + 'px'; }
+        },
+        {
+            key: 'label', label: 'Label', type: 'text', placeholder: 'No label',
+            supports: (el) => !!getDefinition(el)?.capabilities.label,
+            get: (el) => el.dataset.label || '',
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { label: value })
+        }
+    ];
+
+    // Form field settings only show for the field kinds that have them
+    const FORM_FIELD_FIELDS = [
+        { section: 'Field' },
+        textConfigField('name', 'Name'),
+        textConfigField('placeholder', 'Placeholder'),
+        checkboxConfigField('required', 'Required'),
+        textConfigField('defaultValue', 'Default'),
+        {
+            key: 'options', label: 'Options', type: 'text', placeholder: 'One, Two, Three',
+            supports: (el) => 'options' in window.ComponentTypeRegistry.readConfig(el),
+            get: (el) => window.ComponentTypeRegistry.readConfig(el).options.join(', '),
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { options: value })
+        },
+        { section: 'Validation' },
+        textConfigField('minLength', 'Min length'),
+        textConfigField('maxLength', 'Max length'),
+        textConfigField('pattern', 'Pattern', 'Regular expression'),
+        textConfigField('patternMessage', 'Pattern error'),
+        textConfigField('min', 'Min'),
+        textConfigField('max', 'Max'),
+        textConfigField('matchField', 'Must match', 'Field name')
+    ];
+
+    // Grid the children of a container snap to - empty uses the global grid and the container's padding
+    // (gallery children are laid out by their gallery)
+    const isSnapContainer = (el) => el.classList.contains('acceptsChildren') && !isGallery(el);
+    const CONTAINER_FIELDS = [
+        { section: 'Snapping' },
+        snapSettingField('snapGrid', 'Grid size', {
+            supports: isSnapContainer,
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { snapGrid: value })
+        }),
+        snapSettingField('snapPadding', 'Grid inset', {
+            supports: isSnapContainer,
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { snapPadding: value })
+        })
+    ];
+
+    // Nothing selected: settings of the whole form, not recorded in History
+    const FORM_SETTINGS_FIELDS = [
+        { section: 'Form' },
+        {
+            key: 'submitEndpoint', label: 'Submit URL', type: 'text', placeholder: 'Event only', history: false,
+            get: (el) => window.FormDocument.getSettings(el).submitEndpoint || '',
+            set: (el, value) => window.FormDocument.setSettings(el, { submitEndpoint: value.trim() })
+        },
+        {
+            key: 'submitMethod', label: 'Method', type: 'select', options: ['POST', 'PUT', 'PATCH'], history: false,
+            get: (el) => window.FormDocument.getSettings(el).submitMethod || 'POST',
+            set: (el, value) => window.FormDocument.setSettings(el, { submitMethod: value })
+        },
+        { section: 'Snapping' },
+        snapSettingField('snapGrid', 'Grid size', {
+            history: false,
+            set: (el, value) => window.FormDocument.setSettings(el, { snapGrid: value })
+        }),
+        snapSettingField('snapPadding', 'Grid inset', {
+            history: false,
+            set: (el, value) => window.FormDocument.setSettings(el, { snapPadding: value })
+        })
+    ];
+
+    const TYPE_FIELDS = {
+        'gallery-component': [
+            { section: 'Gallery' },
+            configField('gap', 'Gap'),
+            configField('padding', 'Padding'),
+            textConfigField('dataKey', 'Data key', 'Fields stay in parent'),
+            checkboxConfigField('dataList', 'Collect as list')
+        ],
+        'signin-unified': [
+            { section: 'Sign In' },
+            {
+                key: 'enabledProviders', label: 'Providers', type: 'providers',
+                get: (el) => window.ComponentTypeRegistry.readConfig(el).enabledProviders,
+                set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { enabledProviders: value })
+            },
+            configField('buttonSize', 'Button size', 'px'),
+            configField('buttonGap', 'Button gap', 'px')
+        ],
+        // A field keeps its settings inside a gallery
+        'form-field': FORM_FIELD_FIELDS,
+        'gallery-form-field': FORM_FIELD_FIELDS
+    };
+
+    function configField(key, label, unit = '') {
+        return {
+            key, label, type: 'number', min: 0,
+            get: (el) => parseInt(window.ComponentTypeRegistry.readConfig(el)[key]) || 0,
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { [key]: value + unit })
+        };
+    }
+
+    // Shown for components whose type config has the key
+    function textConfigField(key, label, placeholder = '') {
+        return {
+            key, label, type: 'text', placeholder,
+            supports: (el) => key in window.ComponentTypeRegistry.readConfig(el),
+            get: (el) => window.ComponentTypeRegistry.readConfig(el)[key] ?? '',
+            set: (el, value) => window.ComponentTypeRegistry.applyConfig(el, { [key]: value })
+        };
+    }
+
+    // Blank shows the default, 0 goes back to it (grid size) - set() receives '' for the default
+    function snapSettingField(key, label, options) {
+        return {
+            key, label, type: 'number', min: 0, placeholder: 'Default',
+            ...options,
+            get: (el) => el.dataset[key] ?? '',
+            set: (el, value) => options.set(el, key === 'snapGrid' && value <= 0 ? '' : String(Math.max(value, 0)))
+        };
+    }
+
+    // Limits a resize keeps to, on the axes the user resizes - blank or 0 is no limit
+    // (gallery children take their width from the gallery, galleries their height from the children)
+    function sizeLimitField(key, label, axis) {
+        return {
+            key, label, type: 'number', min: 0, placeholder: 'None',
+            supports: (el) => utility().getCapabilities(el)[axis] && !(axis === 'x' ? isGalleryChild(el) : isGallery(el)),
+            get: (el) => el.style[key] ? Math.round(parseFloat(el.style[key])) : '',
+            set: (el, value) => { el.style[key] = value > 0 ? value + 'px' : ''; }
+        };
+    }
+
+    function checkboxConfigField(key, label) {
+        return { ...textConfigField(key, label), type: 'checkbox' };
+    }
+
+    function getDefinition(el) {
+        const type = el.dataset.component;
+        return window.ComponentTypeRegistry?.has(type) ? window.ComponentTypeRegistry.get(type) : null;
+    }
+
+    function toHex(color) {
+        const match = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color || '');
+        if (!match) return '#ffffff';
+        return '#' + match.slice(1, 4).map(n => parseInt(n).toString(16).padStart(2, '0')).join('');
+    }
+
+    // === TARGETS ===
+    // The selected components, or the canvas (form settings) when nothing is selected
+    function getTargets() {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        const selected = Object.values(inputs?.['selectedElementList'] || {}).filter(el => el?.isConnected);
+        if (selected.length) return selected;
+        const canvas = document.getElementById('mainCanvas');
+        return canvas && window.FormDocument ? [canvas] : [];
+    }
+
+    const isFormTarget = (targets) => targets.length === 1 && targets[0].id === 'mainCanvas';
+
+    function getFields(targets) {
+        if (isFormTarget(targets)) return FORM_SETTINGS_FIELDS;
+        const fields = [...COMMON_FIELDS, ...CONTAINER_FIELDS];
+        const types = new Set(targets.map(el => el.dataset.component));
+        if (types.size === 1) fields.push(...(TYPE_FIELDS[[...types][0]] || []));
+
+        // Keep a section heading only if at least one of its fields applies to every target
+        const supported = fields.filter(field => field.section ||
+            targets.every(el => !field.supports || field.supports(el)));
+        return supported.filter((field, index) => !field.section ||
+            (supported[index + 1] && !supported[index + 1].section));
+    }
+
+    // === RENDERING ===
+    function initialize(panelElement = document.getElementById('propertiesPanel')) {
+        if (!panelElement || panelElement.dataset.propertiesInitialized) return;
+        panelElement.dataset.propertiesInitialized = 'true';
+        panel = panelElement;
+
+        ensureStylesLoaded();
+        panel.textContent = '';
+        panel.appendChild(document.createElement('h3')).textContent = 'Properties Panel';
+        content = document.createElement('div');
+        content.className = 'properties-content';
+        panel.appendChild(content);
+
+        render();
+        console.log('Properties panel attached to:', panel.id);
+    }
+
+    function scheduleRefresh() {
+        if (!panel || refreshFrame) return;
+        refreshFrame = requestAnimationFrame(() => {
+            refreshFrame = null;
+            render();
+        });
+    }
+
+    function render() {
+        const targets = getTargets();
+        const signature = targets.map(el => `${el.id}:${el.dataset.component}`).join('|');
+
+        // Same selection: only refresh values so a field being typed into keeps focus
+        if (signature === renderedSignature) {
+            updateValues(targets);
+            return;
+        }
+        renderedSignature = signature;
+        pendingEdit = null;
+        content.textContent = '';
+
+        if (!targets.length || isFormTarget(targets)) {
+            content.appendChild(createNote('Select a component to edit its properties'));
+            if (!targets.length) return;
+        } else {
+            const title = targets.length === 1 ? targets[0].id : `${targets.length} components selected`;
+            content.appendChild(createNote(title)).classList.add('properties-title');
+        }
+
+        getFields(targets).forEach(field => {
+            content.appendChild(field.section ? createSection(field.section) : createRow(field));
+        });
+        updateValues(targets);
+    }
+
+    function createNote(text) {
+        const note = document.createElement('div');
+        note.className = 'properties-note';
+        note.textContent = text;
+        return note;
+    }
+
+    function createSection(title) {
+        const heading = document.createElement('div');
+        heading.className = 'properties-section';
+        heading.textContent = title;
+        return heading;
+    }
+
+    function createRow(field) {
+        const row = document.createElement('div');
+        row.className = 'properties-row';
+        row.appendChild(document.createElement('span')).textContent = field.label;
+
+        const control = field.type === 'providers' ? createProvidersControl()
+            : field.type === 'select' ? createSelectControl(field.options)
+            : document.createElement('input');
+        if (field.type !== 'providers' && field.type !== 'select') {
+            control.type = field.type;
+            if (field.placeholder) control.placeholder = field.placeholder;
+            if (field.min !== undefined) control.min = field.min;
+        }
+        control.dataset.field = field.key;
+        control.addEventListener('input', () => applyField(field, readControl(field, control)));
+        control.addEventListener('change', () => commitEdit(field));
+
+        row.appendChild(control);
+        return row;
+    }
+
+    function createProvidersControl() {
+        const group = document.createElement('div');
+        group.className = 'properties-providers';
+        window.ThirdPartySignInFactory.UNIFIED_CONFIG.defaultProviders.forEach(provider => {
+            const option = document.createElement('label');
+            const checkbox = option.appendChild(document.createElement('input'));
+            checkbox.type = 'checkbox';
+            checkbox.value = provider;
+            option.appendChild(document.createTextNode(provider));
+            group.appendChild(option);
+        });
+        return group;
+    }
+
+    function createSelectControl(options) {
+        const select = document.createElement('select');
+        options.forEach(value => {
+            select.appendChild(document.createElement('option')).textContent = value;
+        });
+        return select;
+    }
+
+    function readControl(field, control) {
+        if (field.type === 'providers') {
+            // A sign-in component always keeps at least one provider
+            const providers = Array.from(control.querySelectorAll('input:checked')).map(input => input.value);
+            return providers.length ? providers : null;
+        }
+        if (field.type === 'number') {
+            return control.value === '' ? null : Number(control.value);
+        }
+        if (field.type === 'checkbox') {
+            return control.checked;
+        }
+        return control.value;
+    }
+
+    function updateValues(targets) {
+        if (!content) return;
+        getFields(targets).filter(field => !field.section).forEach(field => {
+            const control = content.querySelector(`[data-field="${field.key}"]`);
+            if (!control || control.contains(document.activeElement)) return;
+
+            const values = targets.map(el => field.get(el));
+            const shared = values.every(value => JSON.stringify(value) === JSON.stringify(values[0]));
+
+            if (field.type === 'providers') {
+                control.querySelectorAll('input').forEach(input => {
+                    input.checked = shared && values[0].includes(input.value);
+                });
+            } else if (field.type === 'checkbox') {
+                control.checked = shared && values[0];
+                control.indeterminate = !shared;
+            } else {
+                control.value = shared ? values[0] : '';
+                control.placeholder = shared ? (field.placeholder || '') : 'Mixed';
+            }
+        });
+    }
+
+    // === EDITING ===
+    function applyField(field, value) {
+        if (value === null) return;
+        const targets = getTargets();
+
+        // Snapshot once per edit so a whole typing session is a single undo step
+        if (!pendingEdit && window.History && field.history !== false) {
+            pendingEdit = targets.map(element => ({ element, before: window.History.capture(element) }));
+        }
+
+        targets.forEach(element => {
+            field.set(element, value);
+            if (field.resize) {
+                // Same completion a resize drag fires, so gallery listeners re-flow their layout
+                element.dispatchEvent(new CustomEvent('completeResize', { detail: null }));
+            }
+            if (field.geometry) {
+                reflowGallery(element);
+                reflowGallery(element.parentElement);
+            }
+        });
+    }
+
+    function commitEdit(field) {
+        if (pendingEdit) {
+            window.History?.recordEntries(`properties:${field.key}`, pendingEdit);
+            pendingEdit = null;
+        }
+        updateValues(getTargets());
+    }
+
+    function reflowGallery(element) {
+        if (!element?.classList?.contains('gallery-component') || !window.GalleryComponentFactory) return;
+        window.GalleryComponentFactory.updateChildWidths(element);
+        window.GalleryComponentFactory.updateGalleryHeight(element);
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="properties-panel"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'properties-panel');
+        style.textContent = `
+            #propertiesPanel { overflow-y: auto; box-sizing: border-box; }
+            .properties-content { font-weight: normal; font-size: 12px; }
+            .properties-title { font-weight: bold; margin-bottom: 6px; word-break: break-all; }
+            .properties-note { color: #555; margin: 4px 0; }
+            .properties-section {
+                font-weight: bold; margin: 10px 0 4px; padding-bottom: 2px; border-bottom: 1px solid #ccc;
+            }
+            .properties-row {
+                display: flex; align-items: center; justify-content: space-between; gap: 6px; margin: 4px 0;
+            }
+            .properties-row > input { width: 100px; box-sizing: border-box; font-size: 12px; }
+            .properties-row > input[type="color"] { height: 22px; padding: 0; }
+            .properties-row > input[type="checkbox"] { width: auto; }
+            .properties-row > select { width: 100px; font-size: 12px; }
+            .properties-providers { display: flex; flex-direction: column; width: 100px; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Anything that can change the selection or its geometry refreshes the panel
+    ['selectionChanged', 'operationCompleted', 'operationCancelled', 'historyChanged', 'formDocumentLoaded']
+        .forEach(type => document.addEventListener(type, scheduleRefresh));
+
+    window.PropertiesPanel = {
+        initialize,
+        refresh: render
+    };
+
+    console.log('Properties Panel Handler loaded and ready');
+})();
@@ -0,0 +1,267 @@
+// Viewport Handler.js - Zoom and pan of #mainCanvas
+// The canvas is drawn with a CSS transform (moved by the pan, then scaled by the zoom from its top-left
+// corner), so component styles stay in canvas pixels at every zoom level. Pointer positions are viewport
+// pixels - behaviors convert them with these helpers instead of writing them into styles directly:
+//      toLocalPoint(container, x, y)   viewport point -> left/top of a child of container
+//      toClientPoint(container, x, y)  left/top of a child of container -> viewport point
+//      toLocalDelta(dx, dy)            pointer travel -> canvas pixels
+//      toLocalRect(rect)               bounding rect scaled to canvas pixels (only compare it with other such rects)
+// Ctrl+wheel zooms around the pointer, space-drag and middle-drag pan the view ('pan' operation on the canvas),
+// Ctrl+0 / Ctrl+= / Ctrl+- arrive as 'requestZoom' from the Events Handler keyboard table.
+// The current view and its limits live in inputs.viewport of the shared handler data.
+
+(function() {
+    const DEFAULT_VIEW = {
+        zoom: 1,
+        panX: 0,
+        panY: 0,
+        minZoom: 0.25,
+        maxZoom: 4,
+        zoomStep: 1.25,
+        wheelZoomSpeed: 0.002
+    };
+
+    // Wheel deltas in lines/pages are turned into pixels before zooming
+    const WHEEL_LINE_HEIGHT = 16;
+    const WHEEL_PAGE_HEIGHT = 800;
+
+    let canvas = null;
+    let indicator = null;
+    let fallbackView = { ...DEFAULT_VIEW }; // Used until the handler data is loaded
+    let panStart = null;                    // { panX, panY } of the pan operation in flight
+
+    function getView() {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        if (!inputs) return fallbackView;
+        if (!inputs.viewport) inputs.viewport = { ...fallbackView };
+        return inputs.viewport;
+    }
+
+    function getSetting(key) {
+        return getView()[key] ?? DEFAULT_VIEW[key];
+    }
+
+    function getZoom() {
+        return getView().zoom || 1;
+    }
+
+    // === COORDINATE TRANSFORMS ===
+    // Absolutely positioned children are placed from the container's padding edge, inside its border
+    function toLocalPoint(container, x, y) {
+        const zoom = getZoom();
+        const rect = container?.getBoundingClientRect() || { left: 0, top: 0 };
+        return {
+            x: (x - rect.left) / zoom - (container?.clientLeft || 0),
+            y: (y - rect.top) / zoom - (container?.clientTop || 0)
+        };
+    }
+
+    function toClientPoint(container, x, y) {
+        const zoom = getZoom();
+        const rect = container?.getBoundingClientRect() || { left: 0, top: 0 };
+        return {
+            x: rect.left + (x + (container?.clientLeft || 0)) * zoom,
+            y: rect.top + (y + (container?.clientTop || 0)) * zoom
+        };
+    }
+
+    function toLocalDelta(dx, dy) {
+        const zoom = getZoom();
+        return { x: dx / zoom, y: dy / zoom };
+    }
+
+    function toLocalRect(rect) {
+        const zoom = getZoom();
+        return {
+            left: rect.left / zoom,
+            top: rect.top / zoom,
+            right: rect.right / zoom,
+            bottom: rect.bottom / zoom,
+            width: rect.width / zoom,
+            height: rect.height / zoom
+        };
+    }
+
+    // === VIEW ===
+    function apply() {
+        if (!canvas) return;
+        const view = getView();
+        canvas.style.transformOrigin = '0 0';
+        canvas.style.transform = `translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})`;
+        updateIndicator();
+    }
+
+    function notify() {
+        const {zoom, panX, panY} = getView();
+        document.dispatchEvent(new CustomEvent('viewportChanged', { detail: { zoom, panX, panY } }));
+    }
+
+    // The canvas point under (clientX, clientY) stays there - by default the middle of the visible area
+    function setZoom(zoom, clientX, clientY) {
+        if (!canvas) return getZoom();
+        const view = getView();
+        const next = Math.min(getSetting('maxZoom'), Math.max(getSetting('minZoom'), zoom));
+        if (next === view.zoom) return next;
+
+        if (clientX === undefined || clientY === undefined) {
+            const area = (canvas.parentElement || canvas).getBoundingClientRect();
+            clientX = area.left + area.width / 2;
+            clientY = area.top + area.height / 2;
+        }
+
+        // The transformed rect starts at the layout position moved by the pan
+        const rect = canvas.getBoundingClientRect();
+        const point = { x: (clientX - rect.left) / view.zoom, y: (clientY - rect.top) / view.zoom };
+        view.panX = clientX - (rect.left - view.panX) - point.x * next;
+        view.panY = clientY - (rect.top - view.panY) - point.y * next;
+        view.zoom = next;
+
+        apply();
+        notify();
+        return next;
+    }
+
+    function zoomBy(factor, clientX, clientY) {
+        return setZoom(getZoom() * factor, clientX, clientY);
+    }
+
+    function setPan(panX, panY) {
+        const view = getView();
+        view.panX = panX;
+        view.panY = panY;
+        apply();
+        notify();
+    }
+
+    function reset() {
+        const view = getView();
+        view.zoom = 1;
+        view.panX = 0;
+        view.panY = 0;
+        apply();
+        notify();
+    }
+
+    // { action: 'in' | 'out' | 'reset' } from the keyboard, { deltaY, deltaMode, x, y } from the wheel
+    function handleZoomRequest(request = {}) {
+        if (request.action === 'reset') return reset();
+        if (request.action === 'in') return zoomBy(getSetting('zoomStep'));
+        if (request.action === 'out') return zoomBy(1 / getSetting('zoomStep'));
+
+        if (typeof request.deltaY === 'number') {
+            const scale = request.deltaMode === 1 ? WHEEL_LINE_HEIGHT : request.deltaMode === 2 ? WHEEL_PAGE_HEIGHT : 1;
+            zoomBy(Math.exp(-request.deltaY * scale * getSetting('wheelZoomSpeed')), request.x, request.y);
+        }
+    }
+
+    // === PAN OPERATION ===
+    function startPan(mouse) {
+        if (!window.EventsHandler) return;
+        const view = getView();
+        panStart = { panX: view.panX, panY: view.panY };
+        window.EventsHandler.start('pan', canvas);
+        document.body.dataset.panning = 'true';
+        console.log('Pan started at zoom:', view.zoom);
+    }
+
+    function updatePan(mouse) {
+        if (!panStart) return;
+        setPan(panStart.panX + mouse.totalDeltaX, panStart.panY + mouse.totalDeltaY);
+    }
+
+    function endPan() {
+        panStart = null;
+        delete document.body.dataset.panning;
+    }
+
+    // Space held over the editor shows the grab cursor before the press
+    function updatePanReady() {
+        const context = window.handlerData?.['shared handler data']?.[0]?.context;
+        const ready = !!context?.keyboard?.['keys down']?.[' '] && !!window.ModeManager?.isEditMode();
+        if (ready) {
+            document.body.dataset.panReady = 'true';
+        } else {
+            delete document.body.dataset.panReady;
+        }
+    }
+
+    // === ZOOM INDICATOR ===
+    function createIndicator(parent) {
+        indicator = document.createElement('div');
+        indicator.id = 'zoomIndicator';
+        indicator.title = 'Zoom - click to reset to 100%';
+        indicator.addEventListener('click', reset);
+        parent.appendChild(indicator);
+        updateIndicator();
+    }
+
+    function updateIndicator() {
+        if (indicator) indicator.textContent = Math.round(getZoom() * 100) + '%';
+    }
+
+    // === INITIALIZATION ===
+    function initialize(target = document.getElementById('mainCanvas'), indicatorParent = null) {
+        if (!target || target === canvas) return;
+        canvas = target;
+        ensureStylesLoaded();
+
+        canvas.addEventListener('startPan', (e) => startPan(e.detail));
+        canvas.addEventListener('livePan', (e) => updatePan(e.detail));
+        canvas.addEventListener('completePan', endPan);
+        canvas.addEventListener('cancelOperation', () => {
+            if (panStart) setPan(panStart.panX, panStart.panY);
+        });
+        canvas.addEventListener('resetOperationState', endPan);
+
+        // A middle press would start the browser's autoscroll instead of a pan
+        canvas.parentElement?.addEventListener('mousedown', (e) => {
+            if (e.button === 1) e.preventDefault();
+        });
+
+        if (indicatorParent) createIndicator(indicatorParent);
+        apply();
+        console.log('Viewport attached to:', canvas.id);
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="viewport"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'viewport');
+        style.textContent = `
+            #mainContainer { overflow: hidden; background-color: #e8e8e8; }
+            body[data-pan-ready="true"] #mainContainer,
+            body[data-pan-ready="true"] #mainCanvas .base-user-component { cursor: grab; }
+            body[data-panning="true"] #mainContainer,
+            body[data-panning="true"] #mainCanvas .base-user-component { cursor: grabbing; }
+            #zoomIndicator {
+                position: absolute; right: 20px; top: 10px; min-width: 40px; padding: 0 6px;
+                font-size: 11px; line-height: 15px; text-align: center; cursor: pointer;
+                background-color: #fff; border: 1px solid #000; border-radius: 5px;
+            }
+            body[data-app-mode="preview"] #zoomIndicator { display: none; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    document.addEventListener('requestZoom', (e) => handleZoomRequest(e.detail));
+    document.addEventListener('inputContextUpdated', (e) => {
+        if (e.detail.type === 'keydown' || e.detail.type === 'keyup') updatePanReady();
+    });
+    document.addEventListener('appModeChanged', updatePanReady);
+
+    window.CanvasViewport = {
+        initialize,
+        getZoom,
+        setZoom,
+        zoomBy,
+        setPan,
+        reset,
+        getView: () => ({ ...getView() }),
+        toLocalPoint,
+        toClientPoint,
+        toLocalDelta,
+        toLocalRect
+    };
+
+    console.log('Viewport Handler loaded and ready');
+})();
@@ -0,0 +1,93 @@
+// Behavior Registry.js - Central registry of component behaviors
+// Each behavior file registers itself once when its script loads:
+//      window.BehaviorRegistry.register('move', { attach(component, listen), detach(component) })
+// Factories declare which behaviors a component type uses and attach them synchronously.
+// Listeners added through listen() are tracked per component so detach() removes them again,
+// which lets a component swap behaviors when it changes type (e.g. becomes a gallery child).
+
+(function() {
+    const behaviors = new Map();
+
+    // component -> Map(behavior name -> [{ target, type, handler }])
+    const attached = new WeakMap();
+
+    function register(name, behavior) {
+        if (!behavior || typeof behavior.attach !== 'function') {
+            throw new Error(`Behavior '${name}' must provide an attach(component) function`);
+        }
+        if (behaviors.has(name)) {
+            console.warn(`Behavior '${name}' registered twice, keeping the latest`);
+        }
+        behaviors.set(name, behavior);
+        console.log('Behavior registered:', name);
+    }
+
+    function attach(component, names) {
+        if (!component) return;
+        if (!attached.has(component)) attached.set(component, new Map());
+        const componentBehaviors = attached.get(component);
+
+        names.forEach(name => {
+            if (componentBehaviors.has(name)) return;
+
+            const behavior = behaviors.get(name);
+            if (!behavior) {
+                console.warn(`Behavior '${name}' is not registered, skipping for:`, component.id);
+                return;
+            }
+
+            const listeners = [];
+            const listen = (type, handler, target = component) => {
+                target.addEventListener(type, handler);
+                listeners.push({ target, type, handler });
+            };
+
+            componentBehaviors.set(name, listeners);
+            behavior.attach(component, listen);
+        });
+
+        updateDataset(component);
+    }
+
+    function detach(component, names = getAttached(component)) {
+        const componentBehaviors = attached.get(component);
+        if (!componentBehaviors) return;
+
+        names.forEach(name => {
+            const listeners = componentBehaviors.get(name);
+            if (!listeners) return;
+
+            listeners.forEach(({target, type, handler}) => target.removeEventListener(type, handler));
+            componentBehaviors.delete(name);
+            behaviors.get(name)?.detach?.(component);
+        });
+
+        updateDataset(component);
+    }
+
+    // Make the component use exactly these behaviors, detaching any others
+    function setBehaviors(component, names) {
+        detach(component, getAttached(component).filter(name => !names.includes(name)));
+        attach(component, names);
+    }
+
+    function getAttached(component) {
+        return Array.from(attached.get(component)?.keys() || []);
+    }
+
+    // Visible in the inspector, never used for logic
+    function updateDataset(component) {
+        component.dataset.behaviors = getAttached(component).join(' ');
+    }
+
+    window.BehaviorRegistry = {
+        register,
+        attach,
+        detach,
+        setBehaviors,
+        getAttached,
+        has: (name) => behaviors.has(name)
+    };
+
+    console.log('Behavior Registry loaded and ready');
+})();
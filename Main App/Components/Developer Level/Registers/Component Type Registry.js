@@ -0,0 +1,236 @@
+// Component Type Registry.js - Declarative definitions for every component type
+// Each factory registers the types it creates once when its script loads:
+//      window.ComponentTypeRegistry.register('gallery-component', {
+//          classes:        type classes, e.g. ['base-user-component', 'gallery-component']
+//          capabilities:   { draggable, resize: 'both' | 'x' | 'y' | 'none', nestable, acceptsChildren, snapping }
+//          defaultPosition { left, top } - omitted for types laid out by their parent
+//          defaultSize:    { width, height } or (options) => ({ width, height })
+//          defaultStyles:  inline styles applied before position and size
+//          behaviors:      names registered in window.BehaviorRegistry
+//          setup:          (component, options) => {} type-specific work after creation
+//          readConfig:     (component) => ({}) type-specific settings, serialized with the form
+//          applyConfig:    (component, config) => {} applies a partial config read back in
+//          galleryChildType: type the component becomes when nested into a gallery (default 'gallery-child')
+//      });
+// capabilities.label marks types that show a text label (no class is added for it)
+// Containers (acceptsChildren) also carry snapGrid / snapPadding in their config, the grid their children
+// snap to (see Snapping Modifier) - empty uses the global grid and the container's own padding
+// Every component carries its layer settings in its config too (see Layers Panel Handler):
+// layerName, and hidden / locked, which are true when set
+// createInstance(type, options) builds any registered type, applyType() converts an existing one
+
+(function() {
+    const types = new Map();
+
+    // Capability -> class name read by the behaviors and the Events Handler
+    const RESIZE_CLASSES = { both: 'ResizableXorYAxis', x: 'ResizableX', y: 'ResizableY' };
+    const CAPABILITY_CLASSES = {
+        draggable: 'draggable',
+        nestable: 'isNestable',
+        acceptsChildren: 'acceptsChildren',
+        snapping: 'snapping'
+    };
+
+    // Config key -> dataset key of the per-container snapping settings
+    const CONTAINER_SNAP_SETTINGS = ['snapGrid', 'snapPadding'];
+
+    // Config key (= dataset key) of the layer settings, and which of them are flags
+    const LAYER_SETTINGS = ['layerName', 'hidden', 'locked'];
+    const LAYER_FLAGS = ['hidden', 'locked'];
+
+    function register(type, definition) {
+        if (types.has(type)) {
+            console.warn(`Component type '${type}' registered twice, keeping the latest`);
+        }
+        types.set(type, {
+            classes: ['base-user-component'],
+            capabilities: {},
+            defaultSize: {},
+            defaultStyles: {},
+            behaviors: [],
+            ...definition,
+            type
+        });
+        console.log('Component type registered:', type);
+    }
+
+    function get(type) {
+        const definition = types.get(type);
+        if (!definition) {
+            throw new Error(`Unknown component type: ${type}`);
+        }
+        return definition;
+    }
+
+    // Class list in the order the factories always wrote it: type classes, then capabilities
+    function classesFor(type) {
+        const {classes, capabilities} = get(type);
+        const result = [...classes];
+        if (capabilities.draggable) result.push(CAPABILITY_CLASSES.draggable);
+        if (RESIZE_CLASSES[capabilities.resize]) result.push(RESIZE_CLASSES[capabilities.resize]);
+        if (capabilities.nestable) result.push(CAPABILITY_CLASSES.nestable);
+        if (capabilities.acceptsChildren) result.push(CAPABILITY_CLASSES.acceptsChildren);
+        if (capabilities.snapping) result.push(CAPABILITY_CLASSES.snapping);
+        return result;
+    }
+
+    // Every class the registry owns - anything else on an element (e.g. 'selected') is kept on applyType
+    function managedClasses() {
+        const managed = new Set([...Object.values(RESIZE_CLASSES), ...Object.values(CAPABILITY_CLASSES)]);
+        types.forEach(definition => definition.classes.forEach(cls => managed.add(cls)));
+        return managed;
+    }
+
+    function createInstance(type, options = {}) {
+        const definition = get(type);
+
+        const component = document.createElement('div');
+        component.className = classesFor(type).join(' ');
+        component.setAttribute('data-component', type);
+        component.id = options.id || `${type}_${Date.now()}`;
+
+        Object.assign(component.style, definition.defaultStyles);
+
+        // Set default position or use provided options
+        if (definition.defaultPosition) {
+            component.style.left = options.left || definition.defaultPosition.left;
+            component.style.top = options.top || definition.defaultPosition.top;
+        }
+
+        const size = typeof definition.defaultSize === 'function'
+            ? definition.defaultSize(options)
+            : definition.defaultSize;
+        const width = options.width || size.width;
+        const height = options.height || size.height;
+        if (width) component.style.width = width;
+        if (height) component.style.height = height;
+
+        // Append to specified container or main canvas
+        const container = options.container || document.getElementById('mainCanvas');
+        if (container) {
+            container.appendChild(component);
+        }
+
+        window.BehaviorRegistry.setBehaviors(component, definition.behaviors);
+        definition.setup?.(component, options);
+        if (options.label) setLabel(component, options.label);
+        setContainerSnapping(component, options);
+        setLayerSettings(component, options);
+
+        console.log(`${type} instance created:`, component.id);
+        return component;
+    }
+
+    // Turn an existing component into another type in place (e.g. convertToGallery)
+    function applyType(component, type) {
+        const definition = get(type);
+        const managed = managedClasses();
+        const extras = Array.from(component.classList).filter(cls => !managed.has(cls));
+
+        component.className = [...classesFor(type), ...extras].join(' ');
+        component.setAttribute('data-component', type);
+        window.BehaviorRegistry.setBehaviors(component, definition.behaviors);
+
+        return component;
+    }
+
+    // === GALLERY CHILDREN ===
+    // Types with content of their own (e.g. form fields) keep it inside a gallery through their own child type
+    function galleryChildTypeFor(type) {
+        return types.get(type)?.galleryChildType || 'gallery-child';
+    }
+
+    // The free-standing type a gallery child type belongs to, used when it ends up outside a gallery
+    function standaloneTypeFor(type) {
+        for (const [name, definition] of types) {
+            if (definition.galleryChildType === type) return name;
+        }
+        return type === 'gallery-child' || !types.has(type) ? 'base-user-component' : type;
+    }
+
+    // === CONFIG ===
+    // Settings that are not geometry: the label plus whatever the type declares
+    function readConfig(component) {
+        const definition = types.get(component.dataset.component);
+        const config = {};
+        if (component.dataset.label) config.label = component.dataset.label;
+        CONTAINER_SNAP_SETTINGS.forEach(key => {
+            if (component.dataset[key]) config[key] = component.dataset[key];
+        });
+        LAYER_SETTINGS.forEach(key => {
+            if (component.dataset[key]) config[key] = LAYER_FLAGS.includes(key) || component.dataset[key];
+        });
+        return { ...config, ...(definition?.readConfig?.(component) || {}) };
+    }
+
+    function applyConfig(component, config = {}) {
+        if ('label' in config) setLabel(component, config.label);
+        setContainerSnapping(component, config);
+        setLayerSettings(component, config);
+        types.get(component.dataset.component)?.applyConfig?.(component, config);
+    }
+
+    // Only the keys present change, an empty value goes back to the default
+    function setContainerSnapping(component, config) {
+        if (!component.classList.contains('acceptsChildren')) return;
+        CONTAINER_SNAP_SETTINGS.filter(key => key in config).forEach(key => {
+            const value = config[key];
+            if (value === '' || value === null || value === undefined) {
+                delete component.dataset[key];
+            } else {
+                component.dataset[key] = String(value);
+            }
+        });
+    }
+
+    // Same rules, a flag is set by any true value ('true' included)
+    function setLayerSettings(component, config) {
+        LAYER_SETTINGS.filter(key => key in config).forEach(key => {
+            const value = config[key];
+            if (LAYER_FLAGS.includes(key)) {
+                if (value === true || value === 'true') {
+                    component.dataset[key] = 'true';
+                } else {
+                    delete component.dataset[key];
+                }
+            } else if (value === '' || value === null || value === undefined) {
+                delete component.dataset[key];
+            } else {
+                component.dataset[key] = String(value);
+            }
+        });
+    }
+
+    function setLabel(component, text) {
+        let label = component.querySelector(':scope > .component-label');
+        if (!text) {
+            label?.remove();
+            delete component.dataset.label;
+            return;
+        }
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'component-label';
+            component.prepend(label);
+        }
+        label.textContent = text;
+        component.dataset.label = text;
+    }
+
+    window.ComponentTypeRegistry = {
+        register,
+        get,
+        has: (type) => types.has(type),
+        list: () => Array.from(types.keys()),
+        classesFor,
+        createInstance,
+        applyType,
+        galleryChildTypeFor,
+        standaloneTypeFor,
+        readConfig,
+        applyConfig,
+        setLabel
+    };
+
+    console.log('Component Type Registry loaded and ready');
+})();
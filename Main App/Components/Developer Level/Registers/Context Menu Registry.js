@@ -0,0 +1,78 @@
+// Context Menu Registry.js - Actions offered by the right-click menu
+// The menu itself (Base User Component Right Click Menu.js) registers the built-in actions, component types
+// and plugins add their own once when their script loads:
+//      window.ContextMenuRegistry.register({
+//          id:         unique name, also the data-action of the menu item
+//          label:      text, or (context) => text
+//          icon:       short text/emoji shown before the label
+//          shortcut:   hint shown on the right (the key itself is handled by the Events Handler)
+//          scope:      'component' (default), 'canvas' (right-click on empty #mainCanvas) or 'any'
+//          types:      component types (data-component) the action is offered for - omitted for every type
+//          parent:     id of the submenu the action belongs to - omitted for the top level
+//          group:      items of one group sit together, a separator goes between groups
+//          order:      position in the menu (lower first)
+//          isVisible:  (context) => boolean, hidden when false
+//          isEnabled:  (context) => boolean, greyed out when false
+//          run:        (context) => {} - omitted for submenus, which open the actions that name them as parent
+//      });
+// context = { scope, component, targets, canvas, x, y }
+//      component is the component right-clicked (null on the canvas), targets the components a command acts on:
+//      the whole selection when the component is part of it, otherwise just the component
+
+(function() {
+    const actions = new Map();
+
+    function register(action) {
+        if (!action?.id) {
+            throw new Error('Context menu actions need an id');
+        }
+        if (actions.has(action.id)) {
+            console.warn(`Context menu action '${action.id}' registered twice, keeping the latest`);
+        }
+        actions.set(action.id, { scope: 'component', group: 'default', order: 100, ...action });
+    }
+
+    function unregister(id) {
+        actions.delete(id);
+    }
+
+    function get(id) {
+        return actions.get(id) || null;
+    }
+
+    function isOffered(action, context) {
+        if (action.scope !== 'any' && action.scope !== context.scope) return false;
+        if (action.types && !context.targets.every(target => action.types.includes(target.dataset.component))) {
+            return false;
+        }
+        return action.isVisible ? !!action.isVisible(context) : true;
+    }
+
+    // Visible actions of one menu level, in order - a submenu with nothing to show is left out
+    function getItems(context, parent = null) {
+        return Array.from(actions.values())
+            .filter(action => (action.parent || null) === parent && isOffered(action, context))
+            .filter(action => action.run || getItems(context, action.id).length > 0)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    function isEnabled(action, context) {
+        return action.isEnabled ? !!action.isEnabled(context) : true;
+    }
+
+    function getLabel(action, context) {
+        return typeof action.label === 'function' ? action.label(context) : action.label;
+    }
+
+    window.ContextMenuRegistry = {
+        register,
+        unregister,
+        get,
+        getItems,
+        isEnabled,
+        getLabel,
+        hasSubmenu: (action) => !action.run
+    };
+
+    console.log('Context Menu Registry loaded and ready');
+})();
@@ -1,33 +1,8 @@
 // Base User Component Factory
 window.BaseUserComponentFactory = {
-    // Create a new instance of the component
+    // Create a new instance of the component from its registered type definition
     createInstance: function(options = {}) {
-        const componentId = `base-user-component_${Date.now()}`;
-        
-        // Create the component element
-        const component = document.createElement('div');
-        component.className = 'base-user-component draggable ResizableXorYAxis isNestable acceptsChildren snapping';
-        component.setAttribute('data-component', 'base-user-component');
-        component.id = componentId;
-        
-        // Set default position or use provided options
-        component.style.left = options.left || '220px';
-        component.style.top = options.top || '10px';
-        
-        // Add styles to document if not already present
-        this.ensureStylesLoaded();
-        
-        // Append to specified container or main canvas
-        const container = options.container || document.getElementById('mainCanvas');
-        if (container) {
-            container.appendChild(component);
-        }
-        
-        // Load and execute behavior scripts for this specific instance
-        this.loadComponentBehaviors(componentId);
-        
-        console.log('Base User Component instance created:', componentId);
-        return component;
+        return window.ComponentTypeRegistry.createInstance('base-user-component', options);
     },
     
     // Ensure component styles are loaded in the document
@@ -41,50 +16,41 @@ window.BaseUserComponentFactory = {
                     position: absolute; cursor: pointer; border-radius: 10px;
                     box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
                 }
+                /* Editor visuals use outline and background-image so inline border/background stay the user's */
+                .base-user-component.selected {
+                    outline: 2px solid #007ACC; outline-offset: -1px;
+                    background-image: linear-gradient(rgba(0, 122, 204, 0.1), rgba(0, 122, 204, 0.1));
+                }
+                .base-user-component[data-nesting-target="true"], #mainCanvas[data-nesting-target="true"] {
+                    outline: 3px solid #0096ff;
+                    background-image: linear-gradient(rgba(0, 150, 255, 0.1), rgba(0, 150, 255, 0.1));
+                }
+                /* Set from the layers panel - hidden only applies while editing, locked components stay put */
+                body:not([data-app-mode="preview"]) .base-user-component[data-hidden="true"],
+                body:not([data-app-mode="preview"]) .base-user-component[data-hidden="true"] * {
+                    visibility: hidden !important;
+                }
+                .base-user-component[data-locked="true"] { cursor: default; }
+                .component-label {
+                    position: absolute; top: 4px; left: 8px; font-size: 12px; color: #333;
+                    pointer-events: none; user-select: none;
+                }
             `;
             document.head.appendChild(style);
         }
-    },
-    
-    // Load behavior scripts for a specific component instance
-    loadComponentBehaviors: function(componentId) {
-        const behaviors = [
-            'Base User Component Snapping Modifier.js',
-            'Base User Component Selection Behavior.js',
-            'Base User Component Move Behavior.js',
-            'Base User Component Nesting Behavior.js',
-            'Base User Component Resize Behavior.js',
-            'Base User Component Right Click Menu.js'
-        ];
-        
-        const basePath = '../Components/User Level/Components/Base User Component/';
-        
-        behaviors.forEach(behavior => {
-            // Add cache-busting parameter to ensure fresh file loading
-            const cacheBuster = `?v=${Date.now()}`;
-            fetch(`${basePath}${behavior}${cacheBuster}`)
-                .then(response => response.text())
-                .then(script => {
-                    // Modify script to target specific component instance
-                    let modifiedScript = script.replace(
-                        /const components = document\.querySelectorAll\('\.base-user-component'\);/g,
-                        `const components = [document.getElementById('${componentId}')];`
-                    );
-                    
-                    // Also handle single component selectors
-                    modifiedScript = modifiedScript.replace(
-                        /const component = document\.querySelector\('\.base-user-component'\);/g,
-                        `const component = document.getElementById('${componentId}');`
-                    );
-                    
-                    // Execute the modified script
-                    eval(modifiedScript);
-                    console.log(`${behavior} loaded for:`, componentId);
-                })
-                .catch(error => console.error(`Error loading ${behavior}:`, error));
-        });
     }
 };
 
+// Base type definition, built by window.ComponentTypeRegistry.createInstance()
+window.ComponentTypeRegistry.register('base-user-component', {
+    classes: ['base-user-component'],
+    capabilities: { draggable: true, resize: 'both', nestable: true, acceptsChildren: true, snapping: true, label: true },
+    defaultPosition: { left: '220px', top: '10px' },
+    // Size comes from the .base-user-component stylesheet unless options set it
+    defaultSize: {},
+    behaviors: ['selection', 'move', 'nesting', 'resize', 'rightClickMenu'],
+    setup: () => window.BaseUserComponentFactory.ensureStylesLoaded()
+});
+
 // Auto-register factory when this script loads
 console.log('Base User Component Factory loaded and ready');
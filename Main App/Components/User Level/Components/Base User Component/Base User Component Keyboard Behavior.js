@@ -0,0 +1,333 @@
+// Base User Component Keyboard Behavior
+// Responds to keyboard routes from the Events Handler for the current selection:
+//      nudgeSelection      Arrow keys move by inputs.keyboard.nudgeStep, Shift + Arrow one step of the parent's
+//                          snapping grid, onto its lines (gridStep without the Snapping Modifier)
+//      deleteSelection     Delete / Backspace removes the selected components (deleteComponents for any others)
+//      duplicateSelection  Ctrl+D copies the selected components with their children
+//      copySelection       Ctrl+C / Ctrl+X put the selected components on the clipboard as JSON (cut removes them)
+//      pasteClipboard      Ctrl+V adds them back with fresh ids - at the pointer when it moved since the last
+//                          copy or paste, otherwise offset by inputs.keyboard.duplicateOffset from the last ones
+//      arrangeSelection    Ctrl+] / Ctrl+[ bring forward / send backward, with Shift to the front / back
+// Every change is recorded in window.History so it can be undone
+
+(function() {
+    function getInputs() {
+        return window.handlerData?.['shared handler data']?.[0]?.inputs;
+    }
+
+    function getSettings() {
+        return { nudgeStep: 1, gridStep: 20, duplicateOffset: 20, ...(getInputs()?.keyboard || {}) };
+    }
+
+    // Selected components without a selected ancestor - children come along with their parent
+    function getSelectedRoots() {
+        return getRoots(Object.values(getInputs()?.['selectedElementList'] || {}));
+    }
+
+    function getRoots(elements) {
+        const connected = elements.filter(el => el?.isConnected);
+        return connected.filter(el => !connected.some(other => other !== el && other.contains(el)));
+    }
+
+    function reflowGallery(gallery) {
+        if (!gallery?.classList?.contains('gallery-component') || !window.GalleryComponentFactory) return;
+        window.GalleryComponentFactory.updateChildWidths(gallery);
+        window.GalleryComponentFactory.updateGalleryHeight(gallery);
+    }
+
+    function captureEntries(elements) {
+        return window.History ? elements.map(element => ({ element, before: window.History.capture(element) })) : [];
+    }
+
+    // === NUDGE ===
+    function nudgeSelection({key, directionX, directionY}) {
+        const settings = getSettings();
+        const snapping = window.SnappingModifier;
+
+        // Gallery children are laid out by their gallery, locked components stay put
+        const elements = getSelectedRoots().filter(el => !el.classList.contains('gallery-child') &&
+                                                         !window.OperationsUtility.isLocked(el));
+        if (!elements.length) return;
+
+        const entries = captureEntries(elements);
+        elements.forEach(element => {
+            // Grid steps use the grid a drag snaps to in the same container (its own size and padding)
+            const parent = element.parentElement;
+            let step = settings.nudgeStep;
+            if (key.shiftKey) {
+                step = snapping ? snapping.getContainerGrid(parent).size : settings.gridStep;
+            }
+
+            let left = window.OperationsUtility.getStyleNumber(element, 'left') + directionX * step;
+            let top = window.OperationsUtility.getStyleNumber(element, 'top') + directionY * step;
+
+            // Grid steps land on the grid rather than keeping an off-grid remainder
+            if (key.shiftKey && snapping) {
+                if (directionX) left = snapping.snapToGrid(left, 'x', parent);
+                if (directionY) top = snapping.snapToGrid(top, 'y', parent);
+            } else if (key.shiftKey) {
+                if (directionX) left = Math.round(left / step) * step;
+                if (directionY) top = Math.round(top / step) * step;
+            }
+
+            element.style.left = left + 'px';
+            element.style.top = top + 'px';
+        });
+
+        window.History?.recordEntries('nudge', entries);
+    }
+
+    // === DELETE ===
+    // Removal goes through OperationsUtility.removeComponent, which tears down everything that points at it
+    function removeComponents(elements, label) {
+        const entries = captureEntries(elements);
+        elements.forEach(element => window.OperationsUtility.removeComponent(element));
+        window.History?.recordEntries(label, entries);
+    }
+
+    // Components nested in another one being deleted go with it
+    function deleteComponents(elements) {
+        const roots = getRoots(elements);
+        if (!roots.length) return;
+
+        removeComponents(roots, 'delete');
+        console.log('Deleted components:', roots.map(el => el.id).join(', '));
+    }
+
+    function deleteSelection() {
+        deleteComponents(getSelectedRoots());
+    }
+
+    // === COPIES ===
+    // items: [{ node, parent, left, top }] - node is a serialized component (see Form Document Handler).
+    // Copies get fresh ids and are built through the type factories, so they come with their behaviors.
+    function restoreCopies(items, label) {
+        const copies = items.map(({node, parent, left, top}) => {
+            const fresh = window.FormDocument.assignFreshIds(node);
+            fresh.style = { ...fresh.style, left: left + 'px', top: top + 'px' };
+
+            const copy = window.FormDocument.restoreComponent(fresh, parent);
+            ensureDistinctIds(copy);
+            // A free-standing component pasted into a gallery becomes one of its children, as when it is nested
+            if (parent.classList.contains('gallery-component') && !copy.classList.contains('gallery-child')) {
+                parent.dispatchEvent(new CustomEvent('galleryChildAdded', { detail: { child: copy } }));
+            }
+            reflowGallery(parent);
+            return copy;
+        });
+
+        // Copies did not exist before, so undo removes them and redo puts them back
+        if (window.History) {
+            window.History.recordEntries(label, copies.map(copy => ({
+                element: copy,
+                before: { ...window.History.capture(copy), parent: null, nextSibling: null }
+            })));
+        }
+
+        window.clearAllSelections?.();
+        copies.forEach(copy => window.selectComponent?.(copy));
+        return copies;
+    }
+
+    // The layers panel and the selection find components by id - a copy (gallery children and nested
+    // components included) must never share one with another element
+    function ensureDistinctIds(copy) {
+        const counts = new Map();
+        document.querySelectorAll('[id]').forEach(el => counts.set(el.id, (counts.get(el.id) || 0) + 1));
+        [copy, ...copy.querySelectorAll('.base-user-component')].forEach(component => {
+            if (counts.get(component.id) < 2) return;
+            counts.set(component.id, counts.get(component.id) - 1);
+            const id = window.FormDocument.uniqueId(component.dataset.component);
+            console.error('Copied component got an id already in use, renamed:', component.id, '->', id);
+            component.id = id;
+        });
+    }
+
+    // === DUPLICATE ===
+    function duplicateSelection(targets = getSelectedRoots()) {
+        if (!window.FormDocument) return;
+
+        const elements = getRoots(targets);
+        if (!elements.length) return;
+
+        const offset = getSettings().duplicateOffset;
+        const copies = restoreCopies(elements.map(element => ({
+            node: window.FormDocument.serializeComponent(element),
+            parent: element.parentElement,
+            // Gallery children are placed by their gallery
+            left: window.OperationsUtility.getStyleNumber(element, 'left') + offset,
+            top: window.OperationsUtility.getStyleNumber(element, 'top') + offset
+        })), 'duplicate');
+
+        console.log('Duplicated components:', copies.map(copy => copy.id).join(', '));
+    }
+
+    // === CLIPBOARD ===
+    // The clipboard holds plain-text JSON, so components paste into another tab or editor window:
+    //      { format, schemaVersion, components: [{ parent, node }] }   parent is the id of the original container
+    const CLIPBOARD_FORMAT = 'web-form:components';
+
+    // What this tab last put on (or pasted from) the clipboard. origins are where offset pastes start from,
+    // time tells whether the pointer moved since.
+    let clipboard = { text: null, origins: [], time: 0 };
+
+    function parseClipboard(text) {
+        try {
+            const payload = JSON.parse(text);
+            return payload?.format === CLIPBOARD_FORMAT && Array.isArray(payload.components) ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // clipboardData is the event's DataTransfer - without one (no clipboard event) the async Clipboard API is used
+    // targets defaults to the selection (menu commands pass the component they were opened on)
+    function copySelection(clipboardData, {cut = false, targets = getSelectedRoots()} = {}) {
+        if (!window.FormDocument) return false;
+
+        const elements = getRoots(targets);
+        if (!elements.length) return false;
+
+        const text = JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            schemaVersion: window.FormDocument.SCHEMA_VERSION,
+            components: elements.map(element => ({
+                parent: element.parentElement?.id || null,
+                node: window.FormDocument.serializeComponent(element)
+            }))
+        });
+
+        if (clipboardData) {
+            clipboardData.setData('text/plain', text);
+        } else {
+            navigator.clipboard?.writeText(text).catch(error => console.warn('Could not write to the clipboard:', error));
+        }
+
+        // A copy pastes next to the original, a cut back where it was the first time
+        const shift = cut ? -getSettings().duplicateOffset : 0;
+        clipboard = {
+            text,
+            origins: elements.map(element => ({
+                parent: element.parentElement?.id || null,
+                left: window.OperationsUtility.getStyleNumber(element, 'left') + shift,
+                top: window.OperationsUtility.getStyleNumber(element, 'top') + shift
+            })),
+            time: Date.now()
+        };
+
+        if (cut) removeComponents(elements, 'cut');
+        console.log(cut ? 'Cut components:' : 'Copied components:', elements.map(el => el.id).join(', '));
+        return true;
+    }
+
+    function cutSelection(clipboardData, targets) {
+        return copySelection(clipboardData, { cut: true, targets });
+    }
+
+    function hasClipboard() {
+        return !!clipboard.text;
+    }
+
+    // text defaults to what this tab copied last, pointer is the context's 'now' record
+    function pasteClipboard(text = clipboard.text, pointer = null) {
+        const payload = parseClipboard(text);
+        if (!payload || !window.FormDocument) return [];
+
+        // Copied in another tab - start from the positions the components had there
+        if (text !== clipboard.text) {
+            clipboard = {
+                text,
+                origins: payload.components.map(({parent, node}) => ({
+                    parent,
+                    left: parseFloat(node.style?.left) || 0,
+                    top: parseFloat(node.style?.top) || 0
+                })),
+                time: 0
+            };
+        }
+
+        const canvas = document.getElementById('mainCanvas');
+        const atPointer = !!pointer?.element?.closest?.('#mainCanvas') && pointer.time > clipboard.time;
+        let items;
+
+        if (atPointer) {
+            // The components keep their layout, with its top-left corner at the pointer
+            const parent = window.NestingBehavior?.findDropTarget(pointer.x, pointer.y) || canvas;
+            const point = window.OperationsUtility.toLocalPoint(parent, pointer.x, pointer.y);
+            const left = Math.min(...clipboard.origins.map(origin => origin.left));
+            const top = Math.min(...clipboard.origins.map(origin => origin.top));
+            items = payload.components.map(({node}, index) => ({
+                node,
+                parent,
+                left: point.x + clipboard.origins[index].left - left,
+                top: point.y + clipboard.origins[index].top - top
+            }));
+        } else {
+            const offset = getSettings().duplicateOffset;
+            items = payload.components.map(({node}, index) => {
+                const origin = clipboard.origins[index];
+                const parent = document.getElementById(origin.parent);
+                const found = parent?.closest('#mainCanvas') && parent.classList.contains('acceptsChildren');
+                return {
+                    node,
+                    parent: found ? parent : canvas,
+                    left: origin.left + offset,
+                    top: origin.top + offset
+                };
+            });
+        }
+
+        const copies = restoreCopies(items, 'paste');
+
+        // The next paste without moving the pointer lands next to these copies
+        clipboard.origins = copies.map(copy => ({
+            parent: copy.parentElement?.id || null,
+            left: window.OperationsUtility.getStyleNumber(copy, 'left'),
+            top: window.OperationsUtility.getStyleNumber(copy, 'top')
+        }));
+        clipboard.time = Date.now();
+
+        console.log('Pasted components:', copies.map(copy => copy.id).join(', '));
+        return copies;
+    }
+
+    // === ARRANGE ===
+    // Stacking is DOM order, so the saved document keeps it. Gallery children are stacked by their layout instead.
+    function arrangeSelection(command, elements = getSelectedRoots()) {
+        const arrangeable = elements.filter(el => el?.isConnected && !el.classList.contains('gallery-child'));
+        if (!arrangeable.length) return;
+
+        const entries = captureEntries(arrangeable);
+        const moved = window.OperationsUtility.arrange(arrangeable, command);
+        if (!moved.length) return;
+
+        window.History?.recordEntries('arrange', entries.filter(entry => moved.includes(entry.element)));
+        console.log('Arranged components:', command, moved.map(el => el.id).join(', '));
+    }
+
+    document.addEventListener('nudgeSelection', (e) => nudgeSelection(e.detail));
+    document.addEventListener('deleteSelection', () => deleteSelection());
+    document.addEventListener('duplicateSelection', () => duplicateSelection());
+    document.addEventListener('arrangeSelection', (e) => arrangeSelection(e.detail.command));
+    document.addEventListener('copySelection', (e) => copySelection(e.detail.clipboardData));
+    document.addEventListener('cutSelection', (e) => cutSelection(e.detail.clipboardData));
+    document.addEventListener('pasteClipboard', (e) => {
+        const {clipboardData, pointer} = e.detail;
+        pasteClipboard(clipboardData ? clipboardData.getData('text/plain') : undefined, pointer);
+    });
+
+    window.KeyboardBehavior = {
+        nudgeSelection,
+        deleteSelection,
+        deleteComponents,
+        duplicateSelection,
+        arrangeSelection,
+        copySelection,
+        cutSelection,
+        pasteClipboard,
+        parseClipboard,
+        hasClipboard
+    };
+
+    console.log('Base User Component Keyboard Behavior loaded and ready');
+})();
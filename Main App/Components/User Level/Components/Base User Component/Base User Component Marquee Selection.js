@@ -0,0 +1,114 @@
+// Base User Component Marquee Selection
+// Rubber-band selection on the main canvas
+// Events Handler dispatches startMarquee / liveMarquee / completeMarquee on #mainCanvas,
+// every base user component the rectangle intersects is added to selectedElementList
+// inputs.marquee.includeDescendants controls whether nested components can be picked
+
+(function() {
+    let marquee = null;
+
+    function initialize() {
+        const canvas = document.getElementById('mainCanvas');
+        if (!canvas || canvas.dataset.marqueeInitialized) return;
+        canvas.dataset.marqueeInitialized = 'true';
+
+        canvas.addEventListener('startMarquee', (e) => {
+            const settings = getSettings();
+            if (settings.enabled === false) return;
+            window.EventsHandler?.start('marquee', canvas);
+        });
+
+        canvas.addEventListener('liveMarquee', (e) => {
+            updateMarquee(e.detail);
+        });
+
+        canvas.addEventListener('completeMarquee', (e) => {
+            completeMarquee(canvas, e.detail);
+        });
+
+        canvas.addEventListener('resetOperationState', () => {
+            removeMarquee();
+        });
+
+        console.log('Marquee selection attached to:', canvas.id);
+    }
+
+    function getSettings() {
+        return window.handlerData?.['shared handler data']?.[0]?.inputs?.marquee || {};
+    }
+
+    // Marquee rectangle in viewport space, normalized so width/height are positive
+    function getMarqueeRect(mouse) {
+        const startX = mouse.x - mouse.totalDeltaX;
+        const startY = mouse.y - mouse.totalDeltaY;
+        return {
+            left: Math.min(startX, mouse.x),
+            top: Math.min(startY, mouse.y),
+            right: Math.max(startX, mouse.x),
+            bottom: Math.max(startY, mouse.y)
+        };
+    }
+
+    function updateMarquee(mouse) {
+        if (!marquee) {
+            marquee = document.createElement('div');
+            marquee.className = 'marquee-selection';
+            marquee.style.cssText = `
+                position: fixed;
+                border: 1px dashed #007ACC;
+                background: rgba(0, 122, 204, 0.08);
+                pointer-events: none;
+                z-index: 9999;
+            `;
+            document.body.appendChild(marquee);
+        }
+
+        const rect = getMarqueeRect(mouse);
+        marquee.style.left = rect.left + 'px';
+        marquee.style.top = rect.top + 'px';
+        marquee.style.width = (rect.right - rect.left) + 'px';
+        marquee.style.height = (rect.bottom - rect.top) + 'px';
+    }
+
+    function completeMarquee(canvas, mouse) {
+        const rect = getMarqueeRect(mouse);
+        const hits = findIntersectingComponents(canvas, rect, getSettings().includeDescendants);
+
+        // Shift keeps the existing selection and adds to it
+        if (!mouse.shiftKey && window.clearAllSelections) {
+            window.clearAllSelections();
+        }
+        hits.forEach(component => window.selectComponent?.(component));
+
+        removeMarquee();
+        console.log('Marquee selected:', hits.map(component => component.id).join(', ') || 'nothing');
+    }
+
+    function findIntersectingComponents(canvas, rect, includeDescendants) {
+        const selector = includeDescendants ? '.base-user-component' : ':scope > .base-user-component';
+        return Array.from(canvas.querySelectorAll(selector)).filter(component => {
+            const box = component.getBoundingClientRect();
+            return box.left < rect.right && box.right > rect.left &&
+                   box.top < rect.bottom && box.bottom > rect.top;
+        });
+    }
+
+    function removeMarquee() {
+        if (marquee) {
+            marquee.remove();
+            marquee = null;
+        }
+    }
+
+    // The canvas is created by index.html, so wait for it if this script runs first
+    if (document.getElementById('mainCanvas')) {
+        initialize();
+    } else {
+        document.addEventListener('DOMContentLoaded', initialize);
+    }
+
+    window.MarqueeSelection = {
+        initialize,
+        findIntersectingComponents
+    };
+})();
@@ -1,58 +1,48 @@
 (function() {
     // Base User Component Move Behavior.js - Reactive move handling with live updates
     
-    const components = document.querySelectorAll('.base-user-component:not(.gallery-child)');
-    if (!components.length) {
-        console.log('No components found for move behavior, exiting script');
-        return;
-    }
-
-    components.forEach(component => {
-        // Skip if already initialized
-        if (component.dataset.moveInitialized) return;
-        component.dataset.moveInitialized = 'true';
-
-        console.log('Move behavior attached to:', component.id);
+    window.BehaviorRegistry.register('move', {
+        attach(component, listen) {
+            console.log('Move behavior attached to:', component.id);
 
-        // Live move updates during drag
-        component.addEventListener('liveMove', (e) => {
-            const liveMouse = e.detail;
-            updateLiveMove(component, liveMouse);
-        });
+            // Live move updates during drag
+            listen('liveMove', (e) => {
+                const liveMouse = e.detail;
+                updateLiveMove(component, liveMouse);
+            });
 
-        // Visual cleanup
-        component.addEventListener('resetOperationState', () => {
+            // Visual cleanup
+            listen('resetOperationState', () => {
+                cleanup(component);
+            });
+        },
+        detach(component) {
             cleanup(component);
-        });
+        }
     });
 
     function updateLiveMove(element, liveMouse) {
         // Get the offset from mouse to component ONLY on first frame of drag
         if (!element.dataset.dragOffset && liveMouse.isDragging) {
-            const rect = element.getBoundingClientRect();
-            element.dataset.dragOffset = JSON.stringify({
-                x: liveMouse.x - rect.left,
-                y: liveMouse.y - rect.top
-            });
+            window.OperationsUtility.storeDragOffsets(element, liveMouse);
             console.log('Drag offset set for:', element.id);
         }
         
         // Calculate component position based on current mouse and original offset
         if (element.dataset.dragOffset) {
-            const dragOffset = JSON.parse(element.dataset.dragOffset);
-            
-            // Calculate desired component position: nowMouseX - dragOffsetX
-            const desiredLeft = liveMouse.x - dragOffset.x;
-            const desiredTop = liveMouse.y - dragOffset.y;
+            // Pointer in the parent's style coordinates (zoom aware) minus the grab offset
+            const desired = window.OperationsUtility.getDragPosition(element, liveMouse);
+            const desiredLeft = desired.x;
+            const desiredTop = desired.y;
             
-            // Apply snapping to the component position
+            // Apply snapping to the component position (sibling/container edges, then the grid)
             let finalLeft = desiredLeft;
             let finalTop = desiredTop;
             
-            if (typeof window.applySnapping === 'function') {
-                const snapped = window.applySnapping(desiredLeft, desiredTop, false);
-                finalLeft = snapped.x;
-                finalTop = snapped.y;
+            if (window.SnappingModifier) {
+                const snapped = window.SnappingModifier.snapMove(element, { left: desiredLeft, top: desiredTop });
+                finalLeft = snapped.left;
+                finalTop = snapped.top;
             }
             
             element.style.left = finalLeft + 'px';
@@ -70,11 +60,6 @@
         // Clear drag offset when move completes
         delete element.dataset.dragOffset;
         
-        // Preserve selection visuals after move cleanup
-        if (element.classList.contains('selected')) {
-            element.style.backgroundColor = 'rgba(0, 122, 204, 0.1)';
-        }
-        
         console.log('Move visuals cleaned up for:', element.id);
     }
 })();
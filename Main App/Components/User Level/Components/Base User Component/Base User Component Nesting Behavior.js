@@ -1,35 +1,27 @@
 (function() {
     // Base User Component Nesting Behavior.js - Reactive nesting handling with live updates
     
-    const components = document.querySelectorAll('.base-user-component');
-    if (!components.length) {
-        console.log('No components found for nesting behavior, exiting script');
-        return;
-    }
-
-    components.forEach(component => {
-        // Skip if already initialized
-        if (component.dataset.nestingInitialized) return;
-        component.dataset.nestingInitialized = 'true';
-
-        console.log('Nesting behavior attached to:', component.id);
+    window.BehaviorRegistry.register('nesting', {
+        attach(component, listen) {
+            console.log('Nesting behavior attached to:', component.id);
 
-        // ✅ UPDATED: Live nesting updates during drag - Fixed event structure
-        component.addEventListener('liveNesting', (e) => {
-            const mouse = e.detail; // ✅ Mouse object directly (not {liveMouse, inputs})
-            updateLiveNesting(component, mouse);
-        });
+            // ✅ UPDATED: Live nesting updates during drag - Fixed event structure
+            listen('liveNesting', (e) => {
+                const mouse = e.detail; // ✅ Mouse object directly (not {liveMouse, inputs})
+                updateLiveNesting(component, mouse);
+            });
 
-        // ✅ UPDATED: Nesting completion - Fixed event structure
-        component.addEventListener('completeNesting', (e) => {
-            const mouse = e.detail; // ✅ Mouse object directly (not {completionMouse, inputs})
-            handleNestingCompletion(component, mouse);
-        });
+            // ✅ UPDATED: Nesting completion - Fixed event structure
+            listen('completeNesting', (e) => {
+                const mouse = e.detail; // ✅ Mouse object directly (not {completionMouse, inputs})
+                handleNestingCompletion(component, mouse);
+            });
 
-        // ✅ UPDATED: Visual cleanup - Now called via 'resetOperationState' event
-        component.addEventListener('resetOperationState', () => {
-            cleanupNestingVisuals(component);
-        });
+            // ✅ UPDATED: Visual cleanup - Now called via 'resetOperationState' event
+            listen('resetOperationState', () => {
+                cleanupNestingVisuals(component);
+            });
+        }
     });
 
     // Global event listener for clearing highlights (this can stay the same)
@@ -45,46 +37,43 @@
         // Find potential drop target using correct mouse coordinates
         const potentialTarget = findPotentialDropTarget(mouse.x, mouse.y, element);
         
+        // Highlight drawn by the [data-nesting-target] stylesheet rule
         if (potentialTarget) {
-            potentialTarget.style.outline = '3px solid #0096ff';
-            potentialTarget.style.backgroundColor = 'rgba(0, 150, 255, 0.1)';
             potentialTarget.dataset.nestingTarget = 'true';
         }
         
         // Update dragged element position using direct mouse-to-component calculation
         // Get the offset from mouse to component ONLY on first frame of drag
         if (!element.dataset.dragOffset && mouse.isDragging) {
-            const rect = element.getBoundingClientRect();
-            element.dataset.dragOffset = JSON.stringify({
-                x: mouse.x - rect.left,
-                y: mouse.y - rect.top
-            });
+            window.OperationsUtility.storeDragOffsets(element, mouse);
         }
         
         // Calculate component position based on current mouse and original offset
         if (element.dataset.dragOffset) {
-            const dragOffset = JSON.parse(element.dataset.dragOffset);
+            // Pointer in the parent's style coordinates (zoom aware) minus the grab offset
+            const desired = window.OperationsUtility.getDragPosition(element, mouse);
+            const desiredLeft = desired.x;
+            const desiredTop = desired.y;
             
-            // Calculate desired component position: nowMouseX - dragOffsetX
-            const desiredLeft = mouse.x - dragOffset.x;
-            const desiredTop = mouse.y - dragOffset.y;
-            
-            // Apply snapping to the component position
+            // Apply snapping to the component position (sibling/container edges, then the grid)
             let finalLeft = desiredLeft;
             let finalTop = desiredTop;
             
-            if (typeof window.applySnapping === 'function') {
-                const snapped = window.applySnapping(desiredLeft, desiredTop, false);
-                finalLeft = snapped.x;
-                finalTop = snapped.y;
+            if (window.SnappingModifier) {
+                const snapped = window.SnappingModifier.snapMove(element, { left: desiredLeft, top: desiredTop });
+                finalLeft = snapped.left;
+                finalTop = snapped.top;
             }
             
             element.style.left = finalLeft + 'px';
             element.style.top = finalTop + 'px';
+
+            // The grid shown is the one of the container the drop would land in
+            window.SnappingModifier?.showGrid(potentialTarget || element.parentElement);
         }
         element.style.transform = 'scale(1.05)';
         element.style.boxShadow = '0 8px 16px rgba(0, 150, 255, 0.4)';
-        element.style.border = '2px dashed #0096ff';
+        element.style.outline = '2px dashed #0096ff';
         element.style.opacity = '0.8';
     }
 
@@ -98,19 +87,9 @@
         const centerX = rect.left + rect.width / 2;
         const centerY = rect.top + rect.height / 2;
         
-        // Find target at current position
-        element.style.visibility = 'hidden';
-        let targetElement = document.elementFromPoint(centerX, centerY);
-        element.style.visibility = 'visible';
-        
-        // If target is a gallery child, check if its parent gallery accepts children
-        if (targetElement && targetElement.classList.contains('gallery-child')) {
-            const parentGallery = targetElement.closest('.gallery-component');
-            if (parentGallery && parentGallery.classList.contains('acceptsChildren')) {
-                console.log('Target is gallery child, redirecting to parent gallery:', parentGallery.id);
-                targetElement = parentGallery;
-            }
-        }
+        // Find target at current position - the same top-most container the live highlight showed
+        // (a gallery child under the pointer resolves to its gallery)
+        const targetElement = findPotentialDropTarget(centerX, centerY, element);
         
         // Validate nesting target
         console.log('Nesting validation:', {
@@ -132,6 +111,12 @@
         } else {
             console.log('No valid nesting target, performing regular move');
             // Move completion is handled automatically by Events Handler
+            // A gallery child dragged out of its gallery and dropped off the canvas goes back to its place in the stack
+            const gallery = element.parentElement;
+            if (element.classList.contains('gallery-child') && gallery?.classList.contains('gallery-component')) {
+                window.GalleryComponentFactory?.updateChildWidths(gallery);
+                window.GalleryComponentFactory?.updateGalleryHeight(gallery);
+            }
         }
         
         // Clean up
@@ -140,21 +125,13 @@
     }
 
     function performNesting(nestableComponent, targetContainer) {
-        // Calculate relative position within new parent
-        const containerRect = targetContainer.getBoundingClientRect();
-        const componentRect = nestableComponent.getBoundingClientRect();
-        
-        let relativeX = componentRect.left - containerRect.left;
-        let relativeY = componentRect.top - containerRect.top;
-        
-        // Special handling for mainCanvas - account for padding
-        if (targetContainer.id === 'mainCanvas') {
-            const containerStyle = getComputedStyle(targetContainer);
-            const paddingLeft = parseInt(containerStyle.paddingLeft) || 0;
-            const paddingTop = parseInt(containerStyle.paddingTop) || 0;
-            relativeX -= paddingLeft;
-            relativeY -= paddingTop;
-        }
+        // Calculate relative position within new parent - from the component's styles rather than its
+        // bounding rect, which is scaled by the canvas zoom and the drag visuals
+        const position = window.OperationsUtility.getPositionIn(nestableComponent, targetContainer);
+        let relativeX = position.x;
+        let relativeY = position.y;
+        const previousParent = nestableComponent.parentElement;
+        const parentChanged = previousParent !== targetContainer;
         
         // Ensure target container has relative positioning for absolute children
         // Special handling for mainCanvas to preserve flex layout and z-index
@@ -165,12 +142,14 @@
             targetContainer.style.position = 'relative';
         }
         
-        // Move component to new parent
-        targetContainer.appendChild(nestableComponent);
+        // Move component to new parent, in front of its new siblings - a drop on the current parent keeps its place in the stack
+        if (parentChanged) {
+            targetContainer.appendChild(nestableComponent);
+        }
         
-        // Apply snapping to final position
-        if (typeof window.applySnapping === 'function') {
-            const snapped = window.applySnapping(relativeX, relativeY, false); // Don't show guidelines for final position
+        // Apply the new parent's grid to the final position - a drop on the current parent keeps the live (object) snap
+        if (parentChanged && typeof window.applySnapping === 'function') {
+            const snapped = window.applySnapping(relativeX, relativeY, false, targetContainer); // Don't show guidelines for final position
             relativeX = snapped.x;
             relativeY = snapped.y;
         }
@@ -188,6 +167,17 @@
             }
         }));
         
+        // A gallery child leaving its gallery - the gallery closes the gap, and the child gets its own size back
+        // unless it went straight into another gallery
+        if (parentChanged && previousParent?.classList.contains('gallery-component')) {
+            previousParent.dispatchEvent(new CustomEvent('galleryChildRemoved', {
+                detail: {
+                    child: nestableComponent,
+                    newParent: targetContainer
+                }
+            }));
+        }
+        
         targetContainer.dispatchEvent(new CustomEvent('galleryChildAdded', {
             detail: { 
                 child: nestableComponent,
@@ -199,22 +189,48 @@
         console.log('Component successfully nested');
     }
 
+    // Top-most visible container under the point, in stacking order: components in front (later siblings)
+    // and everything inside them paint over earlier siblings. A component that does not take children
+    // passes the drop on to the closest container around it.
     function findPotentialDropTarget(x, y, excludeElement) {
-        // Check all elements that accept children (components and canvas)
-        const allTargets = document.querySelectorAll('.acceptsChildren');
-        let potentialTarget = null;
-        
-        allTargets.forEach(target => {
-            if (target === excludeElement) return;
-            if (excludeElement.contains(target)) return;  // Prevent nesting into own descendant
-            
-            const rect = target.getBoundingClientRect();
-            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
-                potentialTarget = target;
+        const canvas = document.getElementById('mainCanvas');
+        if (!canvas || !containsPoint(canvas, x, y)) return null;
+
+        let target = findTopComponentAt(canvas, x, y, excludeElement) || canvas;
+        while (target !== canvas && !target.classList.contains('acceptsChildren')) {
+            target = target.parentElement;
+        }
+        return target;
+    }
+
+    function findTopComponentAt(container, x, y, excludeElement) {
+        const children = Array.from(container.children)
+            .filter(child => child.classList.contains('base-user-component'))
+            .reverse();
+
+        for (const child of children) {
+            if (child === excludeElement || !isVisible(child)) continue;
+            const inside = containsPoint(child, x, y);
+            // Content that overflows a clipping component is not visible outside it
+            if (inside || getComputedStyle(child).overflow === 'visible') {
+                const nested = findTopComponentAt(child, x, y, excludeElement);
+                if (nested) return nested;
             }
-        });
-        
-        return potentialTarget;
+            if (inside) return child;
+        }
+        return null;
+    }
+
+    // Hidden from the layers panel, or by a style
+    function isVisible(component) {
+        if (component.dataset.hidden === 'true') return false;
+        const style = getComputedStyle(component);
+        return style.display !== 'none' && style.visibility !== 'hidden';
+    }
+
+    function containsPoint(element, x, y) {
+        const rect = element.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
     }
 
     function cleanupNestingVisuals(element) {
@@ -225,15 +241,8 @@
         // Clear drag offset when nesting completes
         delete element.dataset.dragOffset;
         
-        // Only clear nesting-specific border (dashed), preserve selection border
-        if (element.style.border.includes('dashed')) {
-            // Restore selection border if element is selected
-            if (element.classList.contains('selected')) {
-                element.style.border = '2px solid #007ACC';
-            } else {
-                element.style.border = '';
-            }
-        }
+        // Only clear the nesting outline, the selection outline comes from the stylesheet
+        element.style.outline = '';
         
         console.log('Nesting visuals cleaned up for:', element.id);
     }
@@ -241,9 +250,13 @@
     function clearNestingHighlights() {
         const highlightedElements = document.querySelectorAll('[data-nesting-target="true"]');
         highlightedElements.forEach(element => {
-            element.style.outline = '';
-            element.style.backgroundColor = '';
             element.removeAttribute('data-nesting-target');
         });
     }
-})();
\ No newline at end of file
+
+    // Layers panel drops nest through the same path as canvas drops, pastes land in the same container a drop would
+    window.NestingBehavior = {
+        performNesting,
+        findDropTarget: findPotentialDropTarget
+    };
+})();
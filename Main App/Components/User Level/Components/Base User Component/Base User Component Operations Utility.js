@@ -0,0 +1,488 @@
+// Base User Component Operations Utility
+// Shared helpers for move/nesting/resize operations - every resize path (components, galleries, gallery
+// children and groups) takes its box from getResizeBox, so modifiers, snapping and limits behave the same
+// Also applies group operations (liveGroupMove / liveGroupResize from Events Handler)
+// to every element in selectedElementList at once
+
+(function() {
+    const MIN_GROUP_SIZE = 20;
+
+    // Smallest size any resize leaves a component at, whatever its own min-width/min-height say
+    const MIN_COMPONENT_SIZE = 10;
+
+    // Start geometry of the group in flight: { leader, elements, starts, box, boxStyle }
+    let groupSession = null;
+
+    // Store the pointer offset in the element's own (parent-relative) coordinates
+    // so live moves keep the grab point under the pointer inside nested containers
+    function storeDragOffsets(element, mouse) {
+        const downX = mouse.x - (mouse.totalDeltaX || 0);
+        const downY = mouse.y - (mouse.totalDeltaY || 0);
+        const parentRect = element.parentElement?.getBoundingClientRect() || { left: 0, top: 0 };
+        const down = toLocalPoint(element.parentElement, downX, downY);
+
+        element.dataset.dragOffset = JSON.stringify({
+            x: down.x - getStyleNumber(element, 'left'),
+            y: down.y - getStyleNumber(element, 'top')
+        });
+        element.dataset.parentOffset = JSON.stringify({
+            x: parentRect.left,
+            y: parentRect.top
+        });
+    }
+
+    // Left/top that keep the stored grab point under the pointer
+    function getDragPosition(element, mouse) {
+        const dragOffset = JSON.parse(element.dataset.dragOffset);
+        const pointer = toLocalPoint(element.parentElement, mouse.x, mouse.y);
+        return {
+            x: pointer.x - dragOffset.x,
+            y: pointer.y - dragOffset.y
+        };
+    }
+
+    // === COORDINATES ===
+    // Pointers and bounding rects are in viewport pixels, styles in canvas pixels -
+    // the two differ by the canvas zoom (see Viewport Handler)
+    function toLocalPoint(container, x, y) {
+        if (window.CanvasViewport) return window.CanvasViewport.toLocalPoint(container, x, y);
+        const rect = container?.getBoundingClientRect() || { left: 0, top: 0 };
+        return { x: x - rect.left, y: y - rect.top };
+    }
+
+    function toClientPoint(container, x, y) {
+        if (window.CanvasViewport) return window.CanvasViewport.toClientPoint(container, x, y);
+        const rect = container?.getBoundingClientRect() || { left: 0, top: 0 };
+        return { x: rect.left + x, y: rect.top + y };
+    }
+
+    // Left/top that keep element where it is on screen once it is moved into container
+    function getPositionIn(element, container) {
+        const client = toClientPoint(element.parentElement, getStyleNumber(element, 'left'), getStyleNumber(element, 'top'));
+        return toLocalPoint(container, client.x, client.y);
+    }
+
+    function toLocalDelta(dx, dy) {
+        return window.CanvasViewport ? window.CanvasViewport.toLocalDelta(dx, dy) : { x: dx, y: dy };
+    }
+
+    function getLocalRect(element) {
+        const rect = element.getBoundingClientRect();
+        return window.CanvasViewport ? window.CanvasViewport.toLocalRect(rect) : rect;
+    }
+
+    function getStyleNumber(element, prop) {
+        const value = parseFloat(element.style[prop]);
+        if (!isNaN(value)) return value;
+        if (prop === 'left') return element.offsetLeft;
+        if (prop === 'top') return element.offsetTop;
+        return parseFloat(getComputedStyle(element)[prop]) || 0;
+    }
+
+    function getCapabilities(element) {
+        const both = element.classList.contains('ResizableXorYAxis');
+        return {
+            x: both || element.classList.contains('ResizableX'),
+            y: both || element.classList.contains('ResizableY')
+        };
+    }
+
+    // Locked from the layers panel - a locked container locks everything inside it
+    function isLocked(element) {
+        return !!element?.closest?.('.base-user-component[data-locked="true"]');
+    }
+
+    // === SIZE LIMITS ===
+    // min-width/max-width/min-height/max-height of the component (inline, as the sign-in strip sets them,
+    // or from a stylesheet) - 'none' is no limit
+    function getSizeLimits(element, floor = MIN_COMPONENT_SIZE) {
+        const style = getComputedStyle(element);
+        const read = (prop, fallback) => {
+            const value = parseFloat(style[prop]);
+            return isNaN(value) ? fallback : value;
+        };
+        const minWidth = Math.max(read('minWidth', 0), floor);
+        const minHeight = Math.max(read('minHeight', 0), floor);
+        return {
+            minWidth,
+            minHeight,
+            // A max below the min never wins
+            maxWidth: Math.max(read('maxWidth', Infinity), minWidth),
+            maxHeight: Math.max(read('maxHeight', Infinity), minHeight)
+        };
+    }
+
+    // axis is 'width' or 'height'
+    function clampSize(element, axis, value, floor = MIN_COMPONENT_SIZE) {
+        const limits = getSizeLimits(element, floor);
+        const [min, max] = axis === 'width'
+            ? [limits.minWidth, limits.maxWidth]
+            : [limits.minHeight, limits.maxHeight];
+        return Math.min(Math.max(value, min), max);
+    }
+
+    // === RESIZE ===
+    // Size and position when the resize started, kept on the element until the operation ends
+    function getResizeStart(element) {
+        if (!element.dataset.resizeStartPosition) {
+            // Bounding rect in canvas pixels, so the size stays right at any zoom
+            const rect = getLocalRect(element);
+            element.dataset.resizeStartPosition = JSON.stringify({
+                width: rect.width,
+                height: rect.height,
+                left: getStyleNumber(element, 'left'),
+                top: getStyleNumber(element, 'top')
+            });
+        }
+        return JSON.parse(element.dataset.resizeStartPosition);
+    }
+
+    function clearResizeStart(element) {
+        delete element.dataset.resizeStartPosition;
+    }
+
+    // Box a handle drag gives, from the start box and the pointer travel (canvas pixels).
+    // Handles move the edges in their name ('nw' moves the left and top edges), the opposite edges stay put.
+    // Alt keeps the center in place instead and Shift keeps the start aspect ratio. The dragged edges snap,
+    // then the size limits apply. Axes that cannot resize never change.
+    //      options.capabilities    { x, y } - the element's Resizable* classes by default
+    //      options.limit           (width, height, ratio) => { width, height } - the element's size limits by default
+    //      options.exclude         elements snapping ignores (the rest of a group)
+    // Returns the box with the edges the handle moves (-1 left/top, 1 right/bottom, 0 neither), or null
+    function getResizeBox(element, handle, travel, start, modifiers = {}, options = {}) {
+        if (!handle) return null;
+
+        const capabilities = options.capabilities || getCapabilities(element);
+        const edges = {
+            x: !capabilities.x ? 0 : handle.includes('w') ? -1 : handle.includes('e') ? 1 : 0,
+            y: !capabilities.y ? 0 : handle.includes('n') ? -1 : handle.includes('s') ? 1 : 0
+        };
+        if (!edges.x && !edges.y) return null;
+
+        // From the center both edges move, each by the pointer travel
+        const symmetric = !!modifiers.alt;
+        const sides = symmetric ? 2 : 1;
+        let width = start.width + edges.x * travel.x * sides;
+        let height = start.height + edges.y * travel.y * sides;
+
+        // Snap the dragged edges - from the center the opposite edge mirrors the snapped one
+        if (window.SnappingModifier) {
+            const activeHandle = (edges.y < 0 ? 'n' : edges.y > 0 ? 's' : '') + (edges.x < 0 ? 'w' : edges.x > 0 ? 'e' : '');
+            const box = placeBox(start, width, height, edges, symmetric);
+            const snapped = window.SnappingModifier.snapResize(element, box, activeHandle, { exclude: options.exclude });
+            width += (snapped.width - box.width) * sides;
+            height += (snapped.height - box.height) * sides;
+        }
+
+        const ratio = modifiers.shift && capabilities.x && capabilities.y && start.height > 0
+            ? start.width / start.height
+            : null;
+        if (ratio) {
+            ({width, height} = lockAspectRatio(width, height, start, edges, ratio));
+        }
+        const limit = options.limit || ((w, h, r) => applySizeLimits(element, w, h, r));
+        ({width, height} = limit(width, height, ratio));
+
+        return { ...placeBox(start, width, height, edges, symmetric), edges };
+    }
+
+    // Resize the element itself from a live pointer - floors are the smallest { width, height } its type allows
+    function applyResize(element, handle, mouse, floors = {}) {
+        const start = getResizeStart(element);
+        const travel = toLocalDelta(mouse.totalDeltaX, mouse.totalDeltaY);
+        const box = getResizeBox(element, handle, travel, start, mouse.modifiers, {
+            limit: (width, height, ratio) => applySizeLimits(element, width, height, ratio, floors)
+        });
+        if (!box) return null;
+
+        if (box.edges.x || box.width !== start.width) {
+            element.style.width = `${box.width}px`;
+            element.style.left = `${box.left}px`;
+        }
+        if (box.edges.y || box.height !== start.height) {
+            element.style.height = `${box.height}px`;
+            element.style.top = `${box.top}px`;
+        }
+        return box;
+    }
+
+    // The edge opposite the handle stays put - or the center, from the center or on the axis the handle doesn't move
+    function placeBox(start, width, height, edges, symmetric) {
+        const place = (origin, size, newSize, edge) => {
+            if (edge === 1 && !symmetric) return origin;
+            if (edge === -1 && !symmetric) return origin + size - newSize;
+            return origin + (size - newSize) / 2;
+        };
+        return {
+            left: place(start.left, start.width, width, edges.x),
+            top: place(start.top, start.height, height, edges.y),
+            width,
+            height
+        };
+    }
+
+    // A corner follows whichever side changed more, an edge handle drives the other side
+    function lockAspectRatio(width, height, start, edges, ratio) {
+        const changeX = Math.abs(width / start.width - 1);
+        const changeY = Math.abs(height / start.height - 1);
+        const driveX = edges.x && (!edges.y || changeX >= changeY);
+        return driveX ? { width, height: width / ratio } : { width: height * ratio, height };
+    }
+
+    // Clamp to the component's min/max size - with a locked ratio the other side follows each clamp
+    function applySizeLimits(element, width, height, ratio, floors = {}) {
+        const {width: minWidth = MIN_COMPONENT_SIZE, height: minHeight = MIN_COMPONENT_SIZE} = floors;
+        width = clampSize(element, 'width', width, minWidth);
+        if (ratio) height = width / ratio;
+        height = clampSize(element, 'height', height, minHeight);
+        if (ratio) width = clampSize(element, 'width', height * ratio, minWidth);
+        return { width, height };
+    }
+
+    // === Z-ORDER ===
+    // Components stack in DOM order among their component siblings (later is in front)
+    function getStackSiblings(element) {
+        return Array.from(element.parentElement?.children || [])
+            .filter(child => child.classList.contains('base-user-component'));
+    }
+
+    function getStackIndex(element) {
+        return getStackSiblings(element).indexOf(element);
+    }
+
+    function setStackIndex(element, index) {
+        const parent = element.parentElement;
+        if (!parent) return;
+
+        const others = getStackSiblings(element).filter(sibling => sibling !== element);
+        const clamped = Math.max(0, Math.min(index, others.length));
+        parent.insertBefore(element, others[clamped] || null);
+    }
+
+    // command: 'forward' | 'backward' | 'front' | 'back' - elements sharing a parent keep their order among themselves
+    // and move past the next unselected sibling ('forward'/'backward') or to the end of the stack ('front'/'back')
+    function arrange(elements, command) {
+        const parents = new Set(elements.map(element => element.parentElement).filter(Boolean));
+        const moved = [];
+
+        parents.forEach(parent => {
+            const siblings = Array.from(parent.children).filter(child => child.classList.contains('base-user-component'));
+            const chosen = siblings.filter(sibling => elements.includes(sibling));
+            const others = siblings.filter(sibling => !elements.includes(sibling));
+            let order;
+
+            if (command === 'front') {
+                order = [...others, ...chosen];
+            } else if (command === 'back') {
+                order = [...chosen, ...others];
+            } else {
+                // Forward swaps each chosen element with the sibling in front of it, starting from the front-most
+                const step = command === 'forward' ? 1 : -1;
+                order = siblings.slice();
+                const indices = chosen.map(element => order.indexOf(element));
+                if (step > 0) indices.reverse();
+                indices.forEach(index => {
+                    const next = index + step;
+                    if (next < 0 || next >= order.length || chosen.includes(order[next])) return;
+                    [order[index], order[next]] = [order[next], order[index]];
+                });
+            }
+
+            if (order.every((element, index) => element === siblings[index])) return;
+            // Re-insert in stacking order, in front of anything that is not a component (handles, guides)
+            const anchor = siblings[siblings.length - 1].nextSibling;
+            order.forEach(element => parent.insertBefore(element, anchor));
+            moved.push(...chosen);
+        });
+
+        return moved;
+    }
+
+    // === REMOVAL ===
+    // Takes a component (with everything nested in it) off the canvas and re-flows the gallery it was in.
+    // 'componentRemoved' tells whatever still points at it - the selection, the right-click menu, an operation
+    // in flight, guides and indicators - to let go. Behaviors stay attached so undo can put the same element back.
+    function removeComponent(element) {
+        const parent = element?.parentElement;
+        if (!parent) return false;
+
+        const nextSibling = element.nextSibling;
+        element.remove();
+
+        if (parent.classList.contains('gallery-component') && window.GalleryComponentFactory) {
+            window.GalleryComponentFactory.updateChildWidths(parent);
+            window.GalleryComponentFactory.updateGalleryHeight(parent);
+        }
+
+        document.dispatchEvent(new CustomEvent('componentRemoved', { detail: { element, parent, nextSibling } }));
+        console.log('Component removed:', element.id);
+        return true;
+    }
+
+    // === GROUP SESSION ===
+    function beginGroupSession(leader, elements) {
+        const starts = new Map();
+        elements.forEach(element => {
+            starts.set(element, {
+                left: getStyleNumber(element, 'left'),
+                top: getStyleNumber(element, 'top'),
+                width: getStyleNumber(element, 'width'),
+                height: getStyleNumber(element, 'height'),
+                rect: getLocalRect(element)
+            });
+        });
+
+        // Group bounding box in canvas pixels (viewport rects divided by the zoom)
+        const rects = Array.from(starts.values()).map(start => start.rect);
+        const box = {
+            left: Math.min(...rects.map(r => r.left)),
+            top: Math.min(...rects.map(r => r.top)),
+            right: Math.max(...rects.map(r => r.right)),
+            bottom: Math.max(...rects.map(r => r.bottom))
+        };
+        box.width = box.right - box.left;
+        box.height = box.bottom - box.top;
+
+        // The same box expressed in the leader's style space, which is what snapping works in
+        const leaderStart = starts.get(leader);
+        const boxStyle = {
+            left: leaderStart.left + (box.left - leaderStart.rect.left),
+            top: leaderStart.top + (box.top - leaderStart.rect.top)
+        };
+
+        groupSession = { leader, elements, starts, box, boxStyle };
+        return groupSession;
+    }
+
+    function getGroupSession(leader, elements) {
+        if (groupSession && groupSession.leader === leader) return groupSession;
+        return beginGroupSession(leader, elements);
+    }
+
+    // === GROUP MOVE ===
+    function updateGroupMove({mouse, leader, elements}) {
+        const session = getGroupSession(leader, elements);
+
+        // Snap the group's bounding box, then move every element by the same delta
+        const travel = toLocalDelta(mouse.totalDeltaX, mouse.totalDeltaY);
+        let boxLeft = session.boxStyle.left + travel.x;
+        let boxTop = session.boxStyle.top + travel.y;
+        if (window.SnappingModifier) {
+            const snapped = window.SnappingModifier.snapMove(leader, {
+                left: boxLeft, top: boxTop, width: session.box.width, height: session.box.height
+            }, { exclude: session.elements });
+            boxLeft = snapped.left;
+            boxTop = snapped.top;
+        }
+
+        const deltaX = boxLeft - session.boxStyle.left;
+        const deltaY = boxTop - session.boxStyle.top;
+
+        session.elements.forEach(element => {
+            const start = session.starts.get(element);
+            element.style.left = (start.left + deltaX) + 'px';
+            element.style.top = (start.top + deltaY) + 'px';
+            element.style.boxShadow = '0 8px 16px rgba(0, 0, 0, 0.3)';
+        });
+    }
+
+    // === GROUP RESIZE ===
+    function updateGroupResize({mouse, handle, leader, elements}) {
+        const session = getGroupSession(leader, elements);
+        const {box, boxStyle} = session;
+        const handleName = handle?.dataset?.handle || handle || '';
+
+        // The group's bounding box resizes like one component (Shift, Alt and edge snapping included),
+        // in the leader's style space where snapping works - each element keeps its own capabilities below
+        const travel = toLocalDelta(mouse.totalDeltaX, mouse.totalDeltaY);
+        const start = { left: boxStyle.left, top: boxStyle.top, width: box.width, height: box.height };
+        const resized = getResizeBox(leader, handleName, travel, start, mouse.modifiers, {
+            capabilities: { x: true, y: true },
+            limit: (w, h) => ({ width: Math.max(w, MIN_GROUP_SIZE), height: Math.max(h, MIN_GROUP_SIZE) }),
+            exclude: session.elements
+        });
+        if (!resized) return;
+
+        const {width, height} = resized;
+        const newBox = {
+            left: box.left + (resized.left - boxStyle.left),
+            top: box.top + (resized.top - boxStyle.top)
+        };
+        const scaleX = width / box.width;
+        const scaleY = height / box.height;
+
+        session.elements.forEach(element => {
+            const start = session.starts.get(element);
+            const {rect} = start;
+            const capabilities = getCapabilities(element);
+
+            const newLeft = newBox.left + (rect.left - box.left) * scaleX;
+            const newTop = newBox.top + (rect.top - box.top) * scaleY;
+
+            element.style.left = (start.left + newLeft - rect.left) + 'px';
+            element.style.top = (start.top + newTop - rect.top) + 'px';
+            // Each element keeps to its own size limits while the group scales
+            if (capabilities.x) {
+                element.style.width = clampSize(element, 'width', start.width + rect.width * (scaleX - 1)) + 'px';
+            }
+            if (capabilities.y) {
+                element.style.height = clampSize(element, 'height', start.height + rect.height * (scaleY - 1)) + 'px';
+            }
+
+            if (element.classList.contains('gallery-component') && window.GalleryComponentFactory) {
+                window.GalleryComponentFactory.updateChildWidths(element);
+            }
+        });
+    }
+
+    // === GROUP COMPLETION ===
+    function completeGroupOperation() {
+        if (!groupSession) return;
+
+        groupSession.elements.forEach(element => {
+            element.style.boxShadow = '';
+            if (element.classList.contains('gallery-component') && window.GalleryComponentFactory) {
+                window.GalleryComponentFactory.updateChildWidths(element);
+                window.GalleryComponentFactory.updateGalleryHeight(element);
+            }
+        });
+
+        console.log('Group operation completed for:', groupSession.elements.map(el => el.id).join(', '));
+        groupSession = null;
+    }
+
+    // A new or cancelled operation never continues a previous session
+    document.addEventListener('operationStarted', () => { groupSession = null; });
+    document.addEventListener('operationCancelled', () => { groupSession = null; });
+
+    document.addEventListener('liveGroupMove', (e) => updateGroupMove(e.detail));
+    document.addEventListener('liveGroupResize', (e) => updateGroupResize(e.detail));
+    document.addEventListener('completeGroupMove', completeGroupOperation);
+    document.addEventListener('completeGroupResize', completeGroupOperation);
+
+    window.OperationsUtility = {
+        storeDragOffsets,
+        getDragPosition,
+        toLocalPoint,
+        toClientPoint,
+        getPositionIn,
+        toLocalDelta,
+        getLocalRect,
+        getStyleNumber,
+        getCapabilities,
+        isLocked,
+        getSizeLimits,
+        clampSize,
+        getResizeStart,
+        clearResizeStart,
+        getResizeBox,
+        applyResize,
+        getStackSiblings,
+        getStackIndex,
+        setStackIndex,
+        arrange,
+        removeComponent
+    };
+
+    console.log('Base User Component Operations Utility loaded and ready');
+})();
@@ -1,85 +1,91 @@
 (function() {
     // Base User Component Resize Behavior.js - Reactive resize handling
     
-    const components = document.querySelectorAll('.base-user-component:not(.gallery-child):not(.gallery-component)');
-    if (!components.length) {
-        console.log('No components found for resize behavior, exiting script');
-        return;
-    }
+    // Pending handle add/remove timeouts per component, cleared on detach
+    const handleTimeouts = new WeakMap();
 
-    components.forEach(component => {
-        // Skip if already initialized
-        if (component.dataset.resizeBehaviorInitialized) return;
-        component.dataset.resizeBehaviorInitialized = 'true';
+    window.BehaviorRegistry.register('resize', {
+        attach(component, listen) {
+            console.log('Resize behavior attached to:', component.id);
 
-        console.log('Resize behavior attached to:', component.id);
+            // ✅ NEW: Updated event listener to match simplified Events Handler
+            listen('startResize', (e) => {
+                const {mouse, handle} = e.detail;
+                handleResizeStart(component, mouse, handle);
+            });
 
-        // ✅ NEW: Updated event listener to match simplified Events Handler
-        component.addEventListener('startResize', (e) => {
-            const {mouse, handle} = e.detail;
-            handleResizeStart(component, mouse, handle);
-        });
+            // Reactive event listeners - respond to Events Handler
+            const timeouts = { add: null, remove: null };
+            handleTimeouts.set(component, timeouts);
 
-        // Reactive event listeners - respond to Events Handler
-        let addHandlesTimeout = null;
-        let removeHandlesTimeout = null;
+            listen('showResizeHandles', () => {
+                // Clear any pending remove operation
+                if (timeouts.remove) {
+                    clearTimeout(timeouts.remove);
+                    timeouts.remove = null;
+                }
 
-        component.addEventListener('showResizeHandles', () => {
-            // Clear any pending remove operation
-            if (removeHandlesTimeout) {
-                clearTimeout(removeHandlesTimeout);
-                removeHandlesTimeout = null;
-            }
-            
-            // Debounce add operation
-            if (!addHandlesTimeout) {
-                addHandlesTimeout = setTimeout(() => {
-                    addResizeHandles(component);
-                    addHandlesTimeout = null;
-                }, 10);
-            }
-        });
+                // Debounce add operation
+                if (!timeouts.add) {
+                    timeouts.add = setTimeout(() => {
+                        addResizeHandles(component);
+                        timeouts.add = null;
+                    }, 10);
+                }
+            });
 
-        component.addEventListener('hideResizeHandles', () => {
-        // Clear any pending add operation
-        if (addHandlesTimeout) {
-            clearTimeout(addHandlesTimeout);
-            addHandlesTimeout = null;
-        }
-        
-        // Debounce remove operation
-        if (!removeHandlesTimeout) {
-            removeHandlesTimeout = setTimeout(() => {
-                removeResizeHandles(component);
-                removeHandlesTimeout = null;
-            }, 10);
-        }
-        });
+            listen('hideResizeHandles', () => {
+                // Clear any pending add operation
+                if (timeouts.add) {
+                    clearTimeout(timeouts.add);
+                    timeouts.add = null;
+                }
 
-        // ✅ UPDATED: Live resize events - Fixed structure
-        component.addEventListener('liveResize', (e) => {
-            const {mouse, handle} = e.detail; // ✅ Fixed: was {handle, liveMouse}
-            updateLiveResize(component, handle, mouse);
-        });
+                // Debounce remove operation
+                if (!timeouts.remove) {
+                    timeouts.remove = setTimeout(() => {
+                        removeResizeHandles(component);
+                        timeouts.remove = null;
+                    }, 10);
+                }
+            });
 
-        // ✅ UPDATED: Complete resize events
-        component.addEventListener('completeResize', (e) => {
-            const mouse = e.detail; // ✅ Fixed: mouse object directly
-            completeResize(component, mouse);
-        });
+            // ✅ UPDATED: Live resize events - Fixed structure
+            listen('liveResize', (e) => {
+                const {mouse, handle} = e.detail; // ✅ Fixed: was {handle, liveMouse}
+                updateLiveResize(component, handle, mouse);
+            });
 
-        // Clean up old event listeners that are no longer used
-        component.addEventListener('resetOperationState', () => {
+            // ✅ UPDATED: Complete resize events
+            listen('completeResize', (e) => {
+                const mouse = e.detail; // ✅ Fixed: mouse object directly
+                completeResize(component, mouse);
+            });
+
+            // Clean up old event listeners that are no longer used
+            listen('resetOperationState', () => {
+                removeResizeHandles(component);
+                window.OperationsUtility.clearResizeStart(component);
+            });
+        },
+        detach(component) {
+            const timeouts = handleTimeouts.get(component);
+            if (timeouts) {
+                clearTimeout(timeouts.add);
+                clearTimeout(timeouts.remove);
+                handleTimeouts.delete(component);
+            }
             removeResizeHandles(component);
-            delete component.dataset.resizeStartPosition;
-        });
+            window.OperationsUtility.clearResizeStart(component);
+        }
     });
 
     // ✅ NEW: Handle resize start from Events Handler routing
     function handleResizeStart(component, mouse, handle) {
         // Start resize operation via Events Handler API
         if (window.EventsHandler) {
-            window.EventsHandler.start('resize', component, handle);
+            // Routed handles are DOM elements, live updates expect the handle name
+            window.EventsHandler.start('resize', component, handle?.dataset?.handle || handle);
         }
     }
     
@@ -93,6 +99,9 @@
 
         // Remove existing handles first
         removeResizeHandles(component);
+
+        // Locked components keep their size
+        if (window.OperationsUtility.isLocked(component)) return;
         
         // Determine which handles to add based on component classes
         let handles = [];
@@ -155,158 +164,15 @@
 
     // ✅ UPDATED: Fixed parameter name and structure
     function updateLiveResize(element, handle, mouse) {
-        // Use element dataset to track start position (survives across calls)
-        if (!element.dataset.resizeStartPosition) {
-            const rect = element.getBoundingClientRect();
-            element.dataset.resizeStartPosition = JSON.stringify({
-                width: rect.width,
-                height: rect.height,
-                left: parseInt(element.style.left || 0),
-                top: parseInt(element.style.top || 0)
-            });
-        }
-        
-        const startPosition = JSON.parse(element.dataset.resizeStartPosition);
-        
-        // ✅ UPDATED: Use totalDeltaX/Y from mouse object
-        applyLiveResize(element, handle, mouse.totalDeltaX, mouse.totalDeltaY, startPosition);
+        // Start position kept on the element, modifiers, snapping and size limits (see OperationsUtility.getResizeBox)
+        window.OperationsUtility.applyResize(element, handle, mouse);
     }
 
     // ✅ NEW: Complete resize function
     function completeResize(component, mouse) {
         // Clean up the start position after resize completion
-        delete component.dataset.resizeStartPosition;
+        window.OperationsUtility.clearResizeStart(component);
         console.log('Resize operation completed for:', component.id);
         // Note: Resize already applied via live updates, no need to apply again
     }
-
-    function applyLiveResize(element, handle, deltaX, deltaY, startPosition) {
-        const resizeOperations = {
-            'nw': () => {
-                let newWidth = startPosition.width - deltaX;
-                let newHeight = startPosition.height - deltaY;
-                let newLeft = startPosition.left + deltaX;
-                let newTop = startPosition.top + deltaY;
-                
-                // Apply snapping to dimensions and position
-                if (typeof window.applySnapping === 'function') {
-                    const snappedSize = window.applySnapping(newWidth, newHeight, false);
-                    const snappedPos = window.applySnapping(newLeft, newTop, false);
-                    newWidth = snappedSize.x;
-                    newHeight = snappedSize.y;
-                    newLeft = snappedPos.x;
-                    newTop = snappedPos.y;
-                }
-                
-                element.style.width = `${newWidth}px`;
-                element.style.height = `${newHeight}px`;
-                element.style.left = `${newLeft}px`;
-                element.style.top = `${newTop}px`;
-            },
-            'ne': () => {
-                let newWidth = startPosition.width + deltaX;
-                let newHeight = startPosition.height - deltaY;
-                let newTop = startPosition.top + deltaY;
-                
-                // Apply snapping to dimensions and position
-                if (typeof window.applySnapping === 'function') {
-                    const snappedSize = window.applySnapping(newWidth, newHeight, false);
-                    const snappedPos = window.applySnapping(startPosition.left, newTop, false);
-                    newWidth = snappedSize.x;
-                    newHeight = snappedSize.y;
-                    newTop = snappedPos.y;
-                }
-                
-                element.style.width = `${newWidth}px`;
-                element.style.height = `${newHeight}px`;
-                element.style.top = `${newTop}px`;
-            },
-            'sw': () => {
-                let newWidth = startPosition.width - deltaX;
-                let newHeight = startPosition.height + deltaY;
-                let newLeft = startPosition.left + deltaX;
-                
-                // Apply snapping to dimensions and position
-                if (typeof window.applySnapping === 'function') {
-                    const snappedSize = window.applySnapping(newWidth, newHeight, false);
-                    const snappedPos = window.applySnapping(newLeft, startPosition.top, false);
-                    newWidth = snappedSize.x;
-                    newHeight = snappedSize.y;
-                    newLeft = snappedPos.x;
-                }
-                
-                element.style.width = `${newWidth}px`;
-                element.style.height = `${newHeight}px`;
-                element.style.left = `${newLeft}px`;
-            },
-            'se': () => {
-                let newWidth = startPosition.width + deltaX;
-                let newHeight = startPosition.height + deltaY;
-                
-                // Apply snapping to dimensions
-                if (typeof window.applySnapping === 'function') {
-                    const snapped = window.applySnapping(newWidth, newHeight, false);
-                    newWidth = snapped.x;
-                    newHeight = snapped.y;
-                }
-                
-                element.style.width = `${newWidth}px`;
-                element.style.height = `${newHeight}px`;
-            },
-            'n': () => {
-                let newHeight = startPosition.height - deltaY;
-                let newTop = startPosition.top + deltaY;
-                
-                // Apply snapping to dimension and position
-                if (typeof window.applySnapping === 'function') {
-                    const snappedSize = window.applySnapping(startPosition.width, newHeight, false);
-                    const snappedPos = window.applySnapping(startPosition.left, newTop, false);
-                    newHeight = snappedSize.y;
-                    newTop = snappedPos.y;
-                }
-                
-                element.style.height = `${newHeight}px`;
-                element.style.top = `${newTop}px`;
-            },
-            's': () => {
-                let newHeight = startPosition.height + deltaY;
-                
-                // Apply snapping to dimension
-                if (typeof window.applySnapping === 'function') {
-                    const snapped = window.applySnapping(startPosition.width, newHeight, false);
-                    newHeight = snapped.y;
-                }
-                
-                element.style.height = `${newHeight}px`;
-            },
-            'e': () => {
-                let newWidth = startPosition.width + deltaX;
-                
-                // Apply snapping to dimension
-                if (typeof window.applySnapping === 'function') {
-                    const snapped = window.applySnapping(newWidth, startPosition.height, false);
-                    newWidth = snapped.x;
-                }
-                
-                element.style.width = `${newWidth}px`;
-            },
-            'w': () => {
-                let newWidth = startPosition.width - deltaX;
-                let newLeft = startPosition.left + deltaX;
-                
-                // Apply snapping to dimension and position
-                if (typeof window.applySnapping === 'function') {
-                    const snappedSize = window.applySnapping(newWidth, startPosition.height, false);
-                    const snappedPos = window.applySnapping(newLeft, startPosition.top, false);
-                    newWidth = snappedSize.x;
-                    newLeft = snappedPos.x;
-                }
-                
-                element.style.width = `${newWidth}px`;
-                element.style.left = `${newLeft}px`;
-            }
-        };
-        
-        resizeOperations[handle]?.();
-    }
 })();
\ No newline at end of file
@@ -1,177 +1,349 @@
 // Base User Component Right Click Menu
-// Provides context menu functionality for base user components
-// Includes option to convert to gallery component
+// Provides context menu functionality for base user components, and for the empty canvas
+// Items come from window.ContextMenuRegistry - the built-in actions are registered at the bottom of this file:
+//      component   Cut, Copy, Paste, Duplicate, Delete, Arrange ▸, Convert to ▸, Lock
+//      canvas      Paste, Select All, Reset Zoom
+// Component types add their own (Gallery Component Factory.js: Convert to ▸ Gallery / Base Component,
+// Wrap in Gallery, Ungroup)
+// Keyboard: Up/Down move between items, Right/Enter open a submenu, Left/Escape close it,
+// Enter/Space run the item. A click outside, Escape or Tab closes the menu.
 
 (function() {
     let contextMenu = null;
     let targetComponent = null;
-    
-    // Initialize right-click menu for all base user components
-    function initializeRightClickMenu() {
-        const components = document.querySelectorAll('.base-user-component:not([data-right-click-initialized])');
-        
-        components.forEach(component => {
-            // Check if already initialized
-            if (component.dataset.rightClickInitialized) return;
-            component.dataset.rightClickInitialized = 'true';
+    let menuContext = null;
+    let openMenus = [];          // Root menu and the submenus opened from it, outermost first
+
+    // Attached per component by the factories through the Behavior Registry
+    window.BehaviorRegistry.register('rightClickMenu', {
+        attach(component, listen) {
+            listen('contextmenu', handleRightClick);
+
+            // Touch/pen long-press routed by the Events Handler
+            listen('showContextMenu', handleMenuRequest);
+
+            // Note: System events like click/mouseup handled by Events Handler
+            // This component only handles its specific contextmenu interactions
+        },
+        detach(component) {
+            if (window.rightClickTarget === component) closeContextMenu();
+        }
+    });
 
-            // Remove existing listeners to prevent duplicates
-            component.removeEventListener('contextmenu', handleRightClick);
-            component.addEventListener('contextmenu', handleRightClick);
-        });
-        
-        // Note: System events like click/mouseup handled by Events Handler
-        // This component only handles its specific contextmenu interactions
-    }
-    
     // Handle right-click on component
     function handleRightClick(e) {
+        // Preview shows the form as users see it, with the browser's own menu
+        if (window.ModeManager?.isPreviewMode()) return;
+
         e.preventDefault();
         e.stopPropagation();
-        
+
         targetComponent = e.currentTarget;
-        
-        // Don't show menu if this is already a gallery component
-        if (targetComponent.classList.contains('gallery-component')) {
-            return;
-        }
-        
+
+        showContextMenu(e.clientX, e.clientY);
+    }
+
+    // Handle a menu request that did not come from a native contextmenu event
+    function handleMenuRequest(e) {
+        targetComponent = e.currentTarget;
+
+        showContextMenu(e.detail.x, e.detail.y);
+    }
+
+    // Right-click (or long-press) on the canvas itself - components stop their own contextmenu events
+    document.addEventListener('contextmenu', (e) => {
+        if (window.ModeManager?.isPreviewMode()) return;
+        const canvas = e.target.closest?.('#mainCanvas');
+        if (!canvas || e.target.closest('.base-user-component')) return;
+
+        e.preventDefault();
+        targetComponent = null;
         showContextMenu(e.clientX, e.clientY);
+    });
+
+    document.addEventListener('showCanvasContextMenu', (e) => {
+        targetComponent = null;
+        showContextMenu(e.detail.x, e.detail.y);
+    });
+
+    // What the actions see - see Context Menu Registry.js
+    function createContext(component, x, y) {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        const selected = Object.values(inputs?.['selectedElementList'] || {}).filter(el => el?.isConnected);
+        const targets = !component ? [] :
+            component.classList.contains('selected') ? selected.filter(el => !selected.some(other => other !== el && other.contains(el))) :
+            [component];
+
+        return {
+            scope: component ? 'component' : 'canvas',
+            component,
+            targets,
+            canvas: document.getElementById('mainCanvas'),
+            x,
+            y
+        };
     }
-    
+
     // Show context menu at specified position
     function showContextMenu(x, y) {
+        const component = targetComponent;
         closeContextMenu(); // Close any existing menu
-        
+        targetComponent = component;
+        window.rightClickTarget = component;
+
         console.log('Showing context menu at:', x, y);
 
-        contextMenu = document.createElement('div');
-        contextMenu.className = 'component-context-menu';
-        contextMenu.innerHTML = `
-            <div class="context-menu-item" data-action="convert-to-gallery">
-                <span class="menu-icon">📁</span>
-                Convert to Gallery Component
-            </div>
-        `;
-        
+        ensureMenuStyles();
+        menuContext = createContext(component, x, y);
+        contextMenu = buildMenu(null);
+        if (!contextMenu) {
+            closeContextMenu();
+            return;
+        }
+
         // Position menu
         contextMenu.style.left = x + 'px';
         contextMenu.style.top = y + 'px';
-        
-        // Add event listeners to menu items
-        contextMenu.addEventListener('click', (e) => handleMenuClick(e));
-        
+
         // Add to document
         document.body.appendChild(contextMenu);
-        
+        openMenus = [contextMenu];
+
         // Adjust position if menu goes off-screen
-        adjustMenuPosition();
-        
-        // Add styles if not already present
-        ensureMenuStyles();
+        adjustMenuPosition(contextMenu);
+
+        contextMenu.focus({ preventScroll: true });
+
+        // Keys and outside presses are the menu's while it is open - captured on window so the
+        // Events Handler's shortcuts (Delete, arrows) never see them
+        window.addEventListener('keydown', handleMenuKeydown, true);
+        window.addEventListener('pointerdown', handleOutsidePointer, true);
+        window.addEventListener('blur', closeContextMenu);
+        window.addEventListener('resize', closeContextMenu);
+    }
+
+    // One menu level: the registry's visible actions, a separator between groups
+    function buildMenu(parent) {
+        const registry = window.ContextMenuRegistry;
+        const actions = registry.getItems(menuContext, parent);
+        if (!actions.length) return null;
+
+        const menu = document.createElement('div');
+        menu.className = 'component-context-menu';
+        menu.setAttribute('role', 'menu');
+        menu.tabIndex = -1;
+
+        actions.forEach((action, index) => {
+            if (index > 0 && action.group !== actions[index - 1].group) {
+                menu.appendChild(document.createElement('div')).className = 'context-menu-separator';
+            }
+
+            const item = document.createElement('div');
+            item.className = 'context-menu-item';
+            item.setAttribute('role', 'menuitem');
+            item.tabIndex = -1;
+            item.dataset.action = action.id;
+
+            const enabled = registry.isEnabled(action, menuContext);
+            if (!enabled) item.setAttribute('aria-disabled', 'true');
+
+            item.appendChild(document.createElement('span')).className = 'menu-icon';
+            item.lastChild.textContent = action.icon || '';
+            item.appendChild(document.createElement('span')).className = 'menu-label';
+            item.lastChild.textContent = registry.getLabel(action, menuContext);
+
+            if (registry.hasSubmenu(action)) {
+                item.setAttribute('aria-haspopup', 'menu');
+                item.appendChild(document.createElement('span')).className = 'menu-submenu-arrow';
+                item.lastChild.textContent = '▸';
+            } else if (action.shortcut) {
+                item.appendChild(document.createElement('span')).className = 'menu-shortcut';
+                item.lastChild.textContent = action.shortcut;
+            }
+            menu.appendChild(item);
+        });
+
+        menu.addEventListener('click', (e) => handleMenuClick(e));
+        menu.addEventListener('pointerover', (e) => handleMenuHover(e));
+        return menu;
+    }
+
+    function getItems(menu) {
+        return Array.from(menu.querySelectorAll(':scope > .context-menu-item:not([aria-disabled="true"])'));
+    }
+
+    function getMenuOf(element) {
+        return openMenus.find(menu => menu.contains(element)) || null;
+    }
+
+    // === SUBMENUS ===
+    function openSubmenu(item, focusFirst = false) {
+        const menu = getMenuOf(item);
+        closeSubmenusAfter(menu);
+
+        const submenu = buildMenu(item.dataset.action);
+        if (!submenu) return null;
+
+        // Beside the item, on the left when there is no room on the right
+        const itemRect = item.getBoundingClientRect();
+        submenu.classList.add('context-submenu');
+        submenu.style.left = itemRect.right + 'px';
+        submenu.style.top = (itemRect.top - 4) + 'px';
+        document.body.appendChild(submenu);
+        openMenus.push(submenu);
+        item.setAttribute('aria-expanded', 'true');
+
+        const submenuRect = submenu.getBoundingClientRect();
+        if (submenuRect.right > window.innerWidth) {
+            submenu.style.left = Math.max(0, itemRect.left - submenuRect.width) + 'px';
+        }
+        adjustMenuPosition(submenu);
+
+        if (focusFirst) getItems(submenu)[0]?.focus();
+        return submenu;
+    }
+
+    function closeSubmenusAfter(menu) {
+        const index = openMenus.indexOf(menu);
+        if (index < 0) return;
+        openMenus.splice(index + 1).forEach(submenu => submenu.remove());
+        menu.querySelectorAll('[aria-expanded="true"]').forEach(item => item.removeAttribute('aria-expanded'));
+    }
+
+    function handleMenuHover(e) {
+        const item = e.target.closest('.context-menu-item');
+        if (!item) return;
+        item.focus({ preventScroll: true });
+
+        const menu = getMenuOf(item);
+        if (item.getAttribute('aria-haspopup') && item.getAttribute('aria-disabled') !== 'true') {
+            if (item.getAttribute('aria-expanded') !== 'true') openSubmenu(item);
+        } else {
+            closeSubmenusAfter(menu);
+        }
     }
-    
+
     // Handle menu item clicks
     function handleMenuClick(e) {
         console.log('Menu click detected:', e.target);
         e.stopPropagation();
-        
+
         const menuItem = e.target.closest('.context-menu-item');
         console.log('Menu item found:', menuItem);
-        
-        // Use the globally stored right-click target
-        const actualTarget = window.rightClickTarget;
-        
-        if (!menuItem || !actualTarget) {
-            console.log('No menu item or target component:', { menuItem, targetComponent: actualTarget });
+        if (menuItem) activateItem(menuItem);
+    }
+
+    function activateItem(menuItem) {
+        if (menuItem.getAttribute('aria-disabled') === 'true') return;
+
+        if (menuItem.getAttribute('aria-haspopup')) {
+            openSubmenu(menuItem, true);
             return;
         }
 
-        const action = menuItem.getAttribute('data-action');
-        console.log('Action:', action, 'Target:', actualTarget);
-        
-        switch (action) {
-            case 'convert-to-gallery':
-                console.log('Converting to gallery...');
-                convertToGallery(actualTarget);
-                break;
-            // ... other actions
-        }
-        
+        const action = window.ContextMenuRegistry.get(menuItem.dataset.action);
+        const context = menuContext;
+        console.log('Action:', action?.id, 'Target:', context?.component || 'canvas');
+
         closeContextMenu();
         // Clear the stored target after use
         window.rightClickTarget = null;
-    }    // Convert base component to gallery component
-
-    function convertToGallery(targetComponent) {
-        console.log('convertToGallery called');
-        console.log('targetComponent:', targetComponent);
-        console.log('GalleryComponentFactory available:', !!window.GalleryComponentFactory);
-        
-        if (!targetComponent || !window.GalleryComponentFactory) {
-            console.error('Cannot convert to gallery: missing component or factory');
-            return;
+
+        try {
+            action?.run?.(context);
+        } catch (error) {
+            console.error(`Context menu action '${action.id}' failed:`, error);
         }
-        
-        // Get current component properties
-        const container = targetComponent.parentElement;
-        const currentLeft = targetComponent.style.left;
-        const currentTop = targetComponent.style.top;
-        const currentWidth = targetComponent.style.width;
-        const componentId = targetComponent.id;
-        
-        // Update the existing component to be a gallery (like factory would create)
-        targetComponent.className = 'base-user-component gallery-component draggable ResizableX isNestable acceptsChildren snapping';
-        targetComponent.setAttribute('data-component', 'gallery-component');
-        targetComponent.id = `gallery-component_${Date.now()}`;
-        
-        // Ensure it has the gallery styling and setup
-        if (window.GalleryComponentFactory) {
-            window.GalleryComponentFactory.loadGalleryBehaviors(targetComponent.id);
-            window.GalleryComponentFactory.setupChildManagement(targetComponent);
+    }
+
+    // === KEYBOARD ===
+    function handleMenuKeydown(e) {
+        if (!contextMenu) return;
+        const menu = openMenus[openMenus.length - 1];
+        const focused = document.activeElement?.closest?.('.context-menu-item');
+        const items = getItems(menu);
+        const index = items.indexOf(focused);
+
+        const handled = {
+            ArrowDown: () => items[(index + 1) % items.length]?.focus(),
+            ArrowUp: () => items[index > 0 ? index - 1 : items.length - 1]?.focus(),
+            Home: () => items[0]?.focus(),
+            End: () => items[items.length - 1]?.focus(),
+            ArrowRight: () => {
+                if (focused?.getAttribute('aria-haspopup')) activateItem(focused);
+            },
+            ArrowLeft: () => closeSubmenu(menu),
+            Enter: () => focused && activateItem(focused),
+            ' ': () => focused && activateItem(focused),
+            Escape: () => (openMenus.length > 1 ? closeSubmenu(menu) : closeContextMenu()),
+            Tab: () => closeContextMenu()
+        }[e.key];
+
+        if (!handled) {
+            // Any other key (a shortcut, typing) is not for the menu - let it through and get out of the way
+            closeContextMenu();
+            return;
         }
-        
-        // Fire custom event to notify of conversion
-        const convertEvent = new CustomEvent('componentConvertedToGallery', {
-            detail: {
-                originalId: componentId,
-                newId: targetComponent.id,
-                type: 'gallery'
-            }
-        });
-        document.dispatchEvent(convertEvent);
-        
-        console.log(`Converted ${componentId} to gallery component ${targetComponent.id}`);
+        e.preventDefault();
+        e.stopPropagation();
+        handled();
+    }
+
+    // Back to the item that opened the submenu
+    function closeSubmenu(menu) {
+        const index = openMenus.indexOf(menu);
+        if (index < 1) return;
+        const parentMenu = openMenus[index - 1];
+        const opener = parentMenu.querySelector('[aria-expanded="true"]');
+        closeSubmenusAfter(parentMenu);
+        opener?.focus();
     }
-    
+
+    function handleOutsidePointer(e) {
+        if (!openMenus.some(menu => menu.contains(e.target))) closeContextMenu();
+    }
+
     // Close context menu
     function closeContextMenu() {
         if (contextMenu) {
-            contextMenu.remove();
+            openMenus.forEach(menu => menu.remove());
+            openMenus = [];
             contextMenu = null;
+            window.removeEventListener('keydown', handleMenuKeydown, true);
+            window.removeEventListener('pointerdown', handleOutsidePointer, true);
+            window.removeEventListener('blur', closeContextMenu);
+            window.removeEventListener('resize', closeContextMenu);
         }
         targetComponent = null;
+        menuContext = null;
     }
-    
+
+    // The menu (and the stored target) of a component that is no longer on the canvas
+    document.addEventListener('componentRemoved', (e) => {
+        if (!window.rightClickTarget || !e.detail.element.contains(window.rightClickTarget)) return;
+        closeContextMenu();
+        window.rightClickTarget = null;
+    });
+
     // Adjust menu position to stay on screen
-    function adjustMenuPosition() {
-        if (!contextMenu) return;
-        
-        const menuRect = contextMenu.getBoundingClientRect();
+    function adjustMenuPosition(menu) {
+        if (!menu) return;
+
+        const menuRect = menu.getBoundingClientRect();
         const viewportWidth = window.innerWidth;
         const viewportHeight = window.innerHeight;
-        
+
         // Adjust horizontal position
         if (menuRect.right > viewportWidth) {
-            contextMenu.style.left = (viewportWidth - menuRect.width - 10) + 'px';
+            menu.style.left = (viewportWidth - menuRect.width - 10) + 'px';
         }
-        
+
         // Adjust vertical position
         if (menuRect.bottom > viewportHeight) {
-            contextMenu.style.top = (viewportHeight - menuRect.height - 10) + 'px';
+            menu.style.top = (viewportHeight - menuRect.height - 10) + 'px';
         }
     }
-    
+
     // Ensure menu styles are loaded
     function ensureMenuStyles() {
         if (!document.querySelector('style[data-component="context-menu"]')) {
@@ -189,69 +361,149 @@
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
                     font-size: 14px;
                     min-width: 200px;
+                    outline: none;
                 }
-                
+
                 .context-menu-item {
                     padding: 8px 16px;
                     cursor: pointer;
                     display: flex;
                     align-items: center;
                     transition: background-color 0.2s;
+                    outline: none;
                 }
-                
-                .context-menu-item:hover {
+
+                .context-menu-item:hover,
+                .context-menu-item:focus,
+                .context-menu-item[aria-expanded="true"] {
                     background-color: #f0f0f0;
                 }
-                
+
                 .context-menu-item:active {
                     background-color: #e0e0e0;
                 }
-                
+
+                .context-menu-item[aria-disabled="true"] {
+                    color: #aaa;
+                    cursor: default;
+                    background-color: transparent;
+                }
+
                 .menu-icon {
                     margin-right: 8px;
                     font-size: 16px;
+                    width: 18px;
+                    text-align: center;
+                }
+
+                .menu-shortcut,
+                .menu-submenu-arrow {
+                    margin-left: auto;
+                    padding-left: 16px;
+                    color: #888;
+                    font-size: 12px;
+                }
+
+                .context-menu-separator {
+                    height: 1px;
+                    margin: 4px 0;
+                    background-color: #e0e0e0;
                 }
             `;
             document.head.appendChild(style);
         }
     }
-    
-    // Auto-initialize when script loads
-    initializeRightClickMenu();
-    
-    // Re-initialize when new components are added using MutationObserver
-    const observer = new MutationObserver(function(mutations) {
-        mutations.forEach(function(mutation) {
-            mutation.addedNodes.forEach(function(node) {
-                if (node.classList && node.classList.contains('base-user-component')) {
-                    setTimeout(initializeRightClickMenu, 100);
-                }
-            });
+
+    // === BUILT-IN ACTIONS ===
+    const isGalleryChild = (el) => el.classList.contains('gallery-child');
+
+    const isAllLocked = (context) => context.targets.every(el => el.dataset.locked === 'true');
+
+    function setLocked(components, locked) {
+        const entries = window.History ? components.map(element => ({ element, before: window.History.capture(element) })) : [];
+        components.forEach(component => {
+            window.ComponentTypeRegistry.applyConfig(component, { locked });
+            if (locked) component.dispatchEvent(new CustomEvent('hideResizeHandles'));
         });
+        window.History?.recordEntries(locked ? 'lock' : 'unlock', entries);
+    }
+
+    // Paste where the menu was opened - from the system clipboard when it holds components, else this tab's copy.
+    // Offered once this tab has copied, cut or pasted components: reading the system clipboard just to open
+    // the menu would ask the user for permission on every right click.
+    function pasteAt(context) {
+        const pointer = { element: context.component || context.canvas, x: context.x, y: context.y, time: Date.now() };
+        const keyboard = window.KeyboardBehavior;
+        const fallback = () => keyboard.pasteClipboard(undefined, pointer);
+        if (!navigator.clipboard?.readText) return fallback();
+
+        navigator.clipboard.readText()
+            .then(text => (keyboard.parseClipboard(text) ? keyboard.pasteClipboard(text, pointer) : fallback()))
+            .catch(fallback);
+    }
+
+    const canArrange = (context) => context.targets.every(el => !isGalleryChild(el));
+    // Some target can still move that way in its stack
+    const canMove = (toFront) => (context) => context.targets.some(el => {
+        const index = window.OperationsUtility.getStackIndex(el);
+        return toFront ? index < window.OperationsUtility.getStackSiblings(el).length - 1 : index > 0;
     });
-    
-    // Start observing
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true
-    });
-    
-    // Also listen for component creation events
-    document.addEventListener('componentInstantiated', function(e) {
-        setTimeout(initializeRightClickMenu, 100);
-    });
-    
+
+    const registry = window.ContextMenuRegistry;
+    [
+        { id: 'cut', label: 'Cut', icon: '✂', shortcut: 'Ctrl+X', group: 'clipboard', order: 10,
+          run: (context) => window.KeyboardBehavior?.cutSelection(null, context.targets) },
+        { id: 'copy', label: 'Copy', icon: '⧉', shortcut: 'Ctrl+C', group: 'clipboard', order: 20,
+          run: (context) => window.KeyboardBehavior?.copySelection(null, { targets: context.targets }) },
+        { id: 'paste', label: 'Paste', icon: '📋', shortcut: 'Ctrl+V', scope: 'any', group: 'clipboard', order: 30,
+          isEnabled: () => !!window.KeyboardBehavior?.hasClipboard(),
+          run: pasteAt },
+        { id: 'duplicate', label: 'Duplicate', icon: '⊕', shortcut: 'Ctrl+D', group: 'edit', order: 40,
+          run: (context) => window.KeyboardBehavior?.duplicateSelection(context.targets) },
+        { id: 'delete', label: 'Delete', icon: '🗑', shortcut: 'Del', group: 'edit', order: 50,
+          run: (context) => window.KeyboardBehavior?.deleteComponents(context.targets) },
+
+        // Gallery children stack by their gallery's layout
+        { id: 'arrange', label: 'Arrange', icon: '☰', group: 'arrange', order: 60, isVisible: canArrange },
+        { id: 'bring-to-front', parent: 'arrange', label: 'Bring to Front', icon: '⤒', shortcut: 'Ctrl+Shift+]',
+          order: 10, isEnabled: canMove(true),
+          run: (context) => window.KeyboardBehavior?.arrangeSelection('front', context.targets) },
+        { id: 'bring-forward', parent: 'arrange', label: 'Bring Forward', icon: '↑', shortcut: 'Ctrl+]',
+          order: 20, isEnabled: canMove(true),
+          run: (context) => window.KeyboardBehavior?.arrangeSelection('forward', context.targets) },
+        { id: 'send-backward', parent: 'arrange', label: 'Send Backward', icon: '↓', shortcut: 'Ctrl+[',
+          order: 30, isEnabled: canMove(false),
+          run: (context) => window.KeyboardBehavior?.arrangeSelection('backward', context.targets) },
+        { id: 'send-to-back', parent: 'arrange', label: 'Send to Back', icon: '⤓', shortcut: 'Ctrl+Shift+[',
+          order: 40, isEnabled: canMove(false),
+          run: (context) => window.KeyboardBehavior?.arrangeSelection('back', context.targets) },
+
+        // Component types add their conversions to this submenu (see Gallery Component Factory.js)
+        { id: 'convert-to', label: 'Convert to', icon: '⇄', group: 'structure', order: 70 },
+
+        { id: 'lock', label: (context) => (isAllLocked(context) ? 'Unlock' : 'Lock'),
+          icon: '🔒', group: 'layer', order: 90,
+          run: (context) => setLocked(context.targets, !isAllLocked(context)) },
+
+        { id: 'select-all', label: 'Select All', icon: '⬚', scope: 'canvas', group: 'edit', order: 40,
+          isEnabled: (context) => !!context.canvas?.querySelector(':scope > .base-user-component'),
+          run: (context) => {
+              window.clearAllSelections?.();
+              context.canvas.querySelectorAll(':scope > .base-user-component')
+                  .forEach(component => window.selectComponent?.(component));
+          } },
+        { id: 'reset-zoom', label: 'Reset Zoom', icon: '⌕', shortcut: 'Ctrl+0', scope: 'canvas', group: 'view', order: 100,
+          run: () => document.dispatchEvent(new CustomEvent('requestZoom', {detail: {action: 'reset'}})) }
+    ].forEach(action => registry.register(action));
+
     console.log('Base User Component Right Click Menu initialized');
-    
-    // Export for manual re-initialization if needed
-    window.BaseUserComponentRightClickMenu = {
-        initialize: initializeRightClickMenu,
-        close: closeContextMenu
-    };
 
     window.BaseUserComponentRightClickMenu = {
         handleMenuClick: handleMenuClick,
+        open: (component, x, y) => {
+            targetComponent = component || null;
+            showContextMenu(x, y);
+        },
         close: closeContextMenu
     };
 })();
-
@@ -1,41 +1,33 @@
 (function() {
     // Base User Component Selection Behavior.js - Enhanced reactive component interaction
     
-    const components = document.querySelectorAll('.base-user-component');
-    if (!components.length) {
-        console.log('No components found for selection behavior, exiting script');
-        return;
-    }
-
-    components.forEach(component => {
-        // Skip if already initialized
-        if (component.dataset.selectionInitialized) return;
-        component.dataset.selectionInitialized = 'true';
-
-        console.log('Selection behavior attached to:', component.id);
+    window.BehaviorRegistry.register('selection', {
+        attach(component, listen) {
+            console.log('Selection behavior attached to:', component.id);
 
-        // NEW: Updated event listener to match simplified Events Handler
-        component.addEventListener('handleComponentSelect', (e) => {
-            const mouse = e.detail; // Simplified - mouse object directly
-            handleComponentSelection(component, mouse);
-        });
+            // NEW: Updated event listener to match simplified Events Handler
+            listen('handleComponentSelect', (e) => {
+                const mouse = e.detail; // Simplified - mouse object directly
+                handleComponentSelection(component, mouse);
+            });
 
-        // NEW: Event listeners for operation start events from Events Handler
-        component.addEventListener('startResizeOperation', (e) => {
-            const {mouse, edges} = e.detail;
-            startResize(component, edges);
-        });
+            // NEW: Event listeners for operation start events from Events Handler
+            listen('startResizeOperation', (e) => {
+                const {mouse, edges} = e.detail;
+                startResize(component, edges);
+            });
 
-        component.addEventListener('startMoveOperation', (e) => {
-            const mouse = e.detail;
-            console.log('startMoveOperation received for:', component.id, 'classes:', component.className);
-            startMove(component, mouse);
-        });
+            listen('startMoveOperation', (e) => {
+                const mouse = e.detail;
+                console.log('startMoveOperation received for:', component.id, 'classes:', component.className);
+                startMove(component, mouse);
+            });
 
-        component.addEventListener('startNestingOperation', (e) => {
-            const mouse = e.detail;
-            startNesting(component, mouse);
-        });
+            listen('startNestingOperation', (e) => {
+                const mouse = e.detail;
+                startNesting(component, mouse);
+            });
+        }
     });
 
     function handleComponentSelection(element, mouse) {
@@ -43,27 +35,81 @@
         const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
         if (!inputs) return;
 
+        const isSelected = !!inputs['selectedElementList']?.[element.id];
+        const isClick = !mouse.isDragging &&  // ✅ Must not be dragging (simplified from mouseJustPressed)
+                        Math.abs(mouse.totalDeltaX) + Math.abs(mouse.totalDeltaY) < 16;
+
+        if (isSelected) {
+            element.dispatchEvent(new CustomEvent('showResizeHandles'));
+        }
+
         // Only allow selection on actual mouse down, not hover or drag
-        if (!inputs['selectedElementList']?.[element.id] && 
-            !mouse.isDragging &&  // ✅ Must not be dragging (simplified from mouseJustPressed)
-            Math.abs(mouse.totalDeltaX) + Math.abs(mouse.totalDeltaY) < 16) {
-            
-            clearAllSelections();
-            
-            // Initialize selectedElementList if it doesn't exist
-            if (!inputs['selectedElementList']) {
-                inputs['selectedElementList'] = {};
+        if (!isClick) return;
+
+        // Shift adds to the selection, Ctrl/Cmd toggles - once per mouse down on this element
+        if (mouse.shiftKey || mouse.ctrlKey) {
+            if (!isOwnClick(element, mouse)) return;
+
+            if (isSelected && mouse.ctrlKey) {
+                deselectElement(element);
+            } else if (!isSelected) {
+                selectElement(element);
             }
-            
-            inputs['selectedElementList'][element.id] = element;
-            
-            // Apply selection visual
-            element.style.border = '2px solid #007ACC';
-            element.style.backgroundColor = 'rgba(0, 122, 204, 0.1)';
-            element.classList.add('selected');
-            
-            console.log('Component selected:', element.id);
+            return;
+        }
+
+        if (!isSelected) {
+            clearAllSelections();
+            selectElement(element);
+        } else if (getSelectedCount() > 1 && isOwnClick(element, mouse)) {
+            // Plain click on a member of a group narrows the selection to it
+            clearAllSelections();
+            selectElement(element);
+        }
+    }
+
+    // True the first time a mouse down that started on this element is processed
+    function isOwnClick(element, mouse) {
+        if (mouse.downElement?.closest?.('.base-user-component') !== element) return false;
+        if (element.dataset.lastSelectionClick === String(mouse.downTime)) return false;
+        element.dataset.lastSelectionClick = mouse.downTime;
+        return true;
+    }
+
+    function selectElement(element) {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        if (!inputs) return;
+
+        // Initialize selectedElementList if it doesn't exist
+        if (!inputs['selectedElementList']) {
+            inputs['selectedElementList'] = {};
         }
+        
+        inputs['selectedElementList'][element.id] = element;
+        
+        // Apply selection visual - drawn by the .selected stylesheet rule so the
+        // component's own inline border and background are left untouched
+        element.classList.add('selected');
+        notifySelectionChanged();
+        
+        console.log('Component selected:', element.id);
+    }
+
+    function deselectElement(element) {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        delete inputs?.['selectedElementList']?.[element.id];
+
+        element.style.boxShadow = '';
+        element.classList.remove('selected');
+        element.dispatchEvent(new CustomEvent('hideResizeHandles'));
+        notifySelectionChanged();
+
+        console.log('Component deselected:', element.id);
+    }
+
+    function getSelectedCount() {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        return Object.keys(inputs?.['selectedElementList'] || {}).length;
     }
 
     // Start operation functions
@@ -135,8 +181,6 @@
     function clearAllSelections() {
         const allComponents = document.querySelectorAll('.base-user-component, .gallery-child');
         allComponents.forEach(comp => {
-            comp.style.border = '';
-            comp.style.backgroundColor = '';
             comp.style.boxShadow = '';
             comp.classList.remove('selected');
         });
@@ -146,10 +190,29 @@
         if (inputs) {
             inputs['selectedElementList'] = {};
         }
+        notifySelectionChanged();
     }
 
-    // Global helper for other behaviors to access
+    // Let panels follow selectedElementList without polling it
+    function notifySelectionChanged() {
+        const inputs = window.handlerData?.['shared handler data']?.[0]?.inputs;
+        document.dispatchEvent(new CustomEvent('selectionChanged', {
+            detail: { selected: Object.values(inputs?.['selectedElementList'] || {}) }
+        }));
+    }
+
+    // Global helpers for other behaviors to access
     window.clearAllSelections = clearAllSelections;
+    window.selectComponent = selectElement;
+    window.deselectComponent = deselectElement;
+
+    // A removed component (or one nested in it) leaves the selection
+    document.addEventListener('componentRemoved', (e) => {
+        const removed = e.detail.element;
+        [removed, ...removed.querySelectorAll('.base-user-component')]
+            .filter(component => component.classList.contains('selected'))
+            .forEach(deselectElement);
+    });
 
     // Add global canvas click handler for deselection
     document.addEventListener('handleDeselect', (e) => {
@@ -162,8 +225,14 @@
     });
 
     function handleCanvasDeselection(mouse) {
-        // Use the more specific isDraggingForDeselect property for deselection logic
-        if (!mouse.isDraggingForDeselect) {
+        // Only a click that started on the empty canvas clears the selection,
+        // hovering over the canvas between components keeps it
+        if (mouse.downElement?.id !== 'mainCanvas' || mouse.isDragging) return;
+        if (mouse.shiftKey || mouse.ctrlKey) return;
+        // A press that travelled was a marquee drag, which sets its own selection
+        const marqueeThreshold = window.EventsHandler?.MARQUEE_THRESHOLD ?? 4;
+        if (Math.abs(mouse.totalDeltaX) + Math.abs(mouse.totalDeltaY) >= marqueeThreshold) return;
+        if (getSelectedCount() > 0) {
             clearAllSelections();
         }
     }
@@ -1,50 +1,351 @@
 (function() {
     'use strict';
-    
-    // Snapping grid size in pixels
-    const SNAP_GRID = 20;
-    
-    // Create snap guidelines
-    function showSnapGuideline(x, y, isVertical) {
-        const guideline = document.createElement('div');
-        guideline.className = 'snap-guideline';
-        guideline.style.position = 'absolute';
+
+    // Base User Component Snapping Modifier.js - Grid and object snapping for moves and resizes
+    // Settings live in inputs.snapping of the shared handler data:
+    //      gridSize            grid step in canvas pixels
+    //      gridEnabled         round to the grid when no object is close enough
+    //      objectSnapEnabled   snap to the edges and centers of siblings and of the parent container
+    //      threshold           how close (screen pixels) an edge must come before it snaps
+    //      showGuides          draw guide lines and distance labels while dragging
+    //      showGrid            draw the grid inside the active container while dragging
+    // Every container snaps its children to its own grid: it starts at the container's padding
+    // (data-snap-padding overrides it) and uses data-snap-grid as its step when set.
+    // Boxes are { left, top, width, height } in the parent's style coordinates.
+    // Guides and the grid overlay are drawn inside the container while the operation runs and removed when it ends.
+
+    const DEFAULT_SETTINGS = {
+        gridSize: 20,
+        gridEnabled: true,
+        objectSnapEnabled: true,
+        threshold: 6,
+        showGuides: true,
+        showGrid: true
+    };
+
+    // Lines closer than this (canvas pixels) count as the same guide
+    const SAME_LINE = 0.5;
+
+    function getSettings() {
+        const settings = window.handlerData?.['shared handler data']?.[0]?.inputs?.snapping;
+        return { ...DEFAULT_SETTINGS, ...settings };
+    }
+
+    function getZoom() {
+        return window.CanvasViewport?.getZoom() || 1;
+    }
+
+    // === CONTAINER GRID ===
+    // { enabled, size, inset: { left, top, right, bottom } } of the grid a container's children snap to.
+    // Without a container it is the plain global grid from 0, which is what sizes snap to.
+    function getContainerGrid(container, settings = getSettings()) {
+        const size = parseFloat(container?.dataset.snapGrid) || settings.gridSize;
+        const grid = { enabled: !!settings.gridEnabled && size > 0, size, inset: { left: 0, top: 0, right: 0, bottom: 0 } };
+        if (!container) return grid;
+
+        const padding = parseFloat(container.dataset.snapPadding);
+        const style = getComputedStyle(container);
+        ['left', 'top', 'right', 'bottom'].forEach(side => {
+            const key = 'padding' + side.charAt(0).toUpperCase() + side.slice(1);
+            grid.inset[side] = !isNaN(padding) ? padding : (parseFloat(style[key]) || 0);
+        });
+        return grid;
+    }
+
+    // axis is 'x' or 'y' - the grid lines start at the container's left/top inset
+    function snapToGrid(value, axis = 'x', container = null, settings = getSettings()) {
+        const grid = getContainerGrid(container, settings);
+        if (!grid.enabled) return value;
+        const origin = axis === 'x' ? grid.inset.left : grid.inset.top;
+        return Math.round((value - origin) / grid.size) * grid.size + origin;
+    }
+
+    // === SNAP TARGETS ===
+    // Border box of a component in its parent's style coordinates (layout sizes are not zoomed)
+    function getBox(element) {
+        const utility = window.OperationsUtility;
+        return {
+            left: utility.getStyleNumber(element, 'left'),
+            top: utility.getStyleNumber(element, 'top'),
+            width: element.offsetWidth || utility.getStyleNumber(element, 'width'),
+            height: element.offsetHeight || utility.getStyleNumber(element, 'height')
+        };
+    }
+
+    // Edges and centers of the visible siblings and of the parent itself, per axis
+    function collectCandidates(element, exclude = []) {
+        const parent = element.parentElement;
+        const candidates = { x: [], y: [] };
+        if (!parent) return candidates;
+
+        const addBox = (box, isParent) => {
+            [box.left, box.left + box.width / 2, box.left + box.width]
+                .forEach(value => candidates.x.push({ value, box, isParent }));
+            [box.top, box.top + box.height / 2, box.top + box.height]
+                .forEach(value => candidates.y.push({ value, box, isParent }));
+        };
+
+        // The parent's own edges, and the edges inside its padding
+        const {inset} = getContainerGrid(parent);
+        addBox({ left: 0, top: 0, width: parent.clientWidth, height: parent.clientHeight }, true);
+        if (inset.left || inset.top || inset.right || inset.bottom) {
+            addBox({
+                left: inset.left,
+                top: inset.top,
+                width: parent.clientWidth - inset.left - inset.right,
+                height: parent.clientHeight - inset.top - inset.bottom
+            }, true);
+        }
+        Array.from(parent.children)
+            .filter(child => child.classList.contains('base-user-component') &&
+                             child !== element && !exclude.includes(child) &&
+                             child.style.display !== 'none' && child.dataset.hidden !== 'true')
+            .forEach(child => addBox(getBox(child), false));
+        return candidates;
+    }
+
+    // Closest candidate to any of the points, if it is within the threshold
+    function findAxisSnap(points, candidates, threshold) {
+        let best = null;
+        points.forEach(point => {
+            candidates.forEach(candidate => {
+                const offset = candidate.value - point;
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, value: candidate.value };
+                }
+            });
+        });
+        return best;
+    }
+
+    // === MOVE ===
+    // Snap a moved box: object snapping per axis, the grid where nothing is close enough
+    // (width/height default to the element's own size)
+    function snapMove(element, position, options = {}) {
+        const box = { ...getBox(element), ...position };
+        const container = element.parentElement;
+        const settings = getSettings();
+        const candidates = settings.objectSnapEnabled ? collectCandidates(element, options.exclude) : { x: [], y: [] };
+        const threshold = settings.threshold / getZoom();
+
+        const linesX = (left) => [left, left + box.width / 2, left + box.width];
+        const linesY = (top) => [top, top + box.height / 2, top + box.height];
+
+        const matchX = findAxisSnap(linesX(box.left), candidates.x, threshold);
+        const matchY = findAxisSnap(linesY(box.top), candidates.y, threshold);
+        const snapped = {
+            ...box,
+            left: matchX ? box.left + matchX.offset : snapToGrid(box.left, 'x', container, settings),
+            top: matchY ? box.top + matchY.offset : snapToGrid(box.top, 'y', container, settings)
+        };
+
+        showGrid(container, settings);
+        if (settings.showGuides) {
+            showGuides(container, snapped, candidates, {
+                x: matchX ? linesX(snapped.left) : [],
+                y: matchY ? linesY(snapped.top) : []
+            });
+        }
+        return snapped;
+    }
+
+    // === RESIZE ===
+    // Snap the edges a resize handle moves ('e', 'nw', ...), the opposite edges stay put
+    function snapResize(element, box, handle, options = {}) {
+        const container = element.parentElement;
+        const settings = getSettings();
+        const candidates = settings.objectSnapEnabled ? collectCandidates(element, options.exclude) : { x: [], y: [] };
+        const threshold = settings.threshold / getZoom();
+        const snapped = { ...box };
+        const guideLines = { x: [], y: [] };
+
+        const snapEdge = (point, axis) => {
+            const match = findAxisSnap([point], candidates[axis], threshold);
+            if (match) guideLines[axis].push(match.value);
+            return match ? match.value : snapToGrid(point, axis, container, settings);
+        };
+
+        if (handle.includes('w')) {
+            const left = snapEdge(box.left, 'x');
+            snapped.width = box.width + box.left - left;
+            snapped.left = left;
+        } else if (handle.includes('e')) {
+            snapped.width = snapEdge(box.left + box.width, 'x') - box.left;
+        }
+
+        if (handle.includes('n')) {
+            const top = snapEdge(box.top, 'y');
+            snapped.height = box.height + box.top - top;
+            snapped.top = top;
+        } else if (handle.includes('s')) {
+            snapped.height = snapEdge(box.top + box.height, 'y') - box.top;
+        }
+
+        showGrid(container, settings);
+        if (settings.showGuides) {
+            showGuides(container, snapped, candidates, guideLines);
+        }
+        return snapped;
+    }
+
+    // === GUIDES ===
+    // One line per snapped position, spanning the box and everything aligned on it,
+    // with the gap to each aligned sibling written next to the first line it is on
+    function showGuides(container, box, candidates, lines) {
+        clearGuides();
+        if (!container) return;
+
+        const zoom = getZoom();
+        ['x', 'y'].forEach(axis => {
+            const drawn = [];
+            const labelled = new Set();
+            lines[axis].forEach(value => {
+                if (drawn.some(other => Math.abs(other - value) < SAME_LINE)) return;
+                drawn.push(value);
+
+                const aligned = candidates[axis].filter(candidate => Math.abs(candidate.value - value) < SAME_LINE);
+                if (!aligned.length) return;
+                drawGuide(container, axis, value, box, aligned, zoom, labelled);
+            });
+        });
+    }
+
+    function drawGuide(container, axis, value, box, aligned, zoom, labelled) {
+        const vertical = axis === 'x';
+        const start = (b) => vertical ? b.top : b.left;
+        const end = (b) => vertical ? b.top + b.height : b.left + b.width;
+
+        const boxes = [box, ...aligned.map(candidate => candidate.box)];
+        const from = Math.min(...boxes.map(start));
+        const to = Math.max(...boxes.map(end));
+
+        const line = createGuideElement('snap-guideline');
+        const thickness = Math.max(1, 1 / zoom) + 'px';
+        Object.assign(line.style, vertical
+            ? { left: value + 'px', top: from + 'px', width: thickness, height: (to - from) + 'px' }
+            : { left: from + 'px', top: value + 'px', width: (to - from) + 'px', height: thickness });
+        container.appendChild(line);
+
+        // Distance labels between the box and each aligned sibling (not the parent)
+        aligned.filter(candidate => !candidate.isParent).forEach(({box: other}) => {
+            if (labelled.has(other)) return;
+            labelled.add(other);
+            const gap = start(other) > end(box) ? start(other) - end(box) : start(box) - end(other);
+            if (gap <= 0) return;
+
+            const middle = start(other) > end(box) ? end(box) + gap / 2 : end(other) + gap / 2;
+            const label = createGuideElement('snap-guideline snap-distance-label');
+            label.textContent = Math.round(gap);
+            label.style.transform = `translate(${vertical ? '4px' : '-50%'}, ${vertical ? '-50%' : '4px'}) scale(${1 / zoom})`;
+            label.style.transformOrigin = '0 0';
+            Object.assign(label.style, vertical
+                ? { left: value + 'px', top: middle + 'px' }
+                : { left: middle + 'px', top: value + 'px' });
+            container.appendChild(label);
+        });
+    }
+
+    // === GRID OVERLAY ===
+    // Only the active container shows its grid, from its inset edge with its own step
+    function showGrid(container, settings = getSettings()) {
+        const grid = getContainerGrid(container, settings);
+        if (!container || !settings.showGrid || !grid.enabled) {
+            clearGrid();
+            return;
+        }
+
+        let overlay = container.querySelector(':scope > .snap-grid-overlay');
+        document.querySelectorAll('.snap-grid-overlay').forEach(other => {
+            if (other !== overlay) other.remove();
+        });
+        if (!overlay) {
+            overlay = createGuideElement('snap-grid-overlay');
+            container.prepend(overlay);
+        }
+
+        const thickness = Math.max(1, 1 / getZoom()) + 'px';
+        const color = 'rgba(0, 122, 204, 0.18)';
+        overlay.style.backgroundImage =
+            `linear-gradient(to right, ${color} ${thickness}, transparent ${thickness}), ` +
+            `linear-gradient(to bottom, ${color} ${thickness}, transparent ${thickness})`;
+        overlay.style.backgroundSize = `${grid.size}px ${grid.size}px`;
+        overlay.style.backgroundPosition = `${grid.inset.left}px ${grid.inset.top}px`;
+    }
+
+    function clearGrid() {
+        document.querySelectorAll('.snap-grid-overlay').forEach(overlay => overlay.remove());
+    }
+
+    function createGuideElement(className) {
+        ensureStylesLoaded();
+        const element = document.createElement('div');
+        element.className = className;
+        return element;
+    }
+
+    function clearGuides() {
+        document.querySelectorAll('.snap-guideline').forEach(guide => guide.remove());
+    }
+
+    function ensureStylesLoaded() {
+        if (document.querySelector('style[data-component="snapping-guides"]')) return;
+        const style = document.createElement('style');
+        style.setAttribute('data-component', 'snapping-guides');
+        style.textContent = `
+            .snap-guideline { position: absolute; background-color: #ff3b7f; pointer-events: none; z-index: 10000; }
+            .snap-grid-overlay { position: absolute; inset: 0; pointer-events: none; z-index: 0; }
+            .snap-guideline.snap-distance-label {
+                background-color: #ff3b7f; color: #fff; font: 10px Arial, sans-serif;
+                padding: 1px 3px; border-radius: 2px; white-space: nowrap;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Guides and the grid only live as long as the drag that shows them (or the component they were drawn for)
+    ['operationCompleted', 'operationCancelled', 'componentRemoved'].forEach(type => document.addEventListener(type, () => {
+        clearGuides();
+        clearGrid();
+    }));
+
+    // Short flash of the grid line a value snapped to, drawn inside the container
+    function showSnapGuideline(container, value, isVertical) {
+        if (!container) return;
+        const guideline = createGuideElement('snap-guideline');
         guideline.style.backgroundColor = 'red';
-        guideline.style.pointerEvents = 'none';
-        guideline.style.zIndex = '10000';
-        
-        if (isVertical) {
-            guideline.style.left = x + 'px';
-            guideline.style.top = '0';
-            guideline.style.width = '1px';
-            guideline.style.height = '100vh';
-        } else {
-            guideline.style.left = '0';
-            guideline.style.top = y + 'px';
-            guideline.style.width = '100vw';
-            guideline.style.height = '1px';
-        }
-        
-        document.body.appendChild(guideline);
-        
+        const thickness = Math.max(1, 1 / getZoom()) + 'px';
+        Object.assign(guideline.style, isVertical
+            ? { left: value + 'px', top: '0', width: thickness, height: '100%' }
+            : { left: '0', top: value + 'px', width: '100%', height: thickness });
+        container.appendChild(guideline);
+
         // Remove after 200ms
-        setTimeout(() => {
-            if (guideline.parentNode) {
-                guideline.parentNode.removeChild(guideline);
-            }
-        }, 200);
-    }
-    
-    // Apply snapping to position
-    window.applySnapping = function(x, y, showGuidelines = true) {
-        const snappedX = Math.round(x / SNAP_GRID) * SNAP_GRID;
-        const snappedY = Math.round(y / SNAP_GRID) * SNAP_GRID;
-        
-        if (showGuidelines && (snappedX !== x || snappedY !== y)) {
-            if (snappedX !== x) showSnapGuideline(snappedX, 0, true);
-            if (snappedY !== y) showSnapGuideline(0, snappedY, false);
-        }
-        
+        setTimeout(() => guideline.remove(), 200);
+    }
+
+    // Apply grid snapping to a position inside container (its own grid),
+    // or to a size when there is no container (the global grid from 0)
+    window.applySnapping = function(x, y, showGuidelines = true, container = null) {
+        const settings = getSettings();
+        const snappedX = snapToGrid(x, 'x', container, settings);
+        const snappedY = snapToGrid(y, 'y', container, settings);
+
+        if (showGuidelines && container && (snappedX !== x || snappedY !== y)) {
+            if (snappedX !== x) showSnapGuideline(container, snappedX, true);
+            if (snappedY !== y) showSnapGuideline(container, snappedY, false);
+        }
+
         return { x: snappedX, y: snappedY };
     };
-})();
\ No newline at end of file
+
+    window.SnappingModifier = {
+        getSettings,
+        getContainerGrid,
+        snapToGrid,
+        snapMove,
+        snapResize,
+        showGrid,
+        clearGuides,
+        clearGrid
+    };
+})();
@@ -0,0 +1,316 @@
+// Form Field Component Factory
+// Creates input field components: text, email, password, number, textarea, checkbox, radio, select, date
+// and the submit button that runs window.FormRuntime
+// A form field is a base user component holding a real form control:
+//      Uses base user selection, movement, nesting and resize behaviors
+//      Can be nested into galleries (becomes a gallery-form-field, laid out like any gallery child)
+//      Does not accept children
+//      The label is the component label (window.ComponentTypeRegistry.setLabel), shown above the control
+// Edit mode: the control is inert so pointer input reaches the component and it can be designed
+// Preview mode: the control is live and can be filled in, switching back to Edit restores the default value
+
+window.FormFieldComponentFactory = {
+    // Field kinds - title names the kind in the toolbar, label is the default field label,
+    // rules the validation settings it offers (RULE_KEYS), size the default component size
+    FIELD_TYPES: {
+        text:     { title: 'Text',        label: 'Text',       placeholder: true, rules: ['length', 'pattern', 'match'], size: { width: '240px', height: '64px' } },
+        email:    { title: 'Email',       label: 'Email',      placeholder: true, rules: ['length', 'pattern', 'match'], size: { width: '240px', height: '64px' } },
+        password: { title: 'Password',    label: 'Password',   placeholder: true, rules: ['length', 'pattern', 'match'], size: { width: '240px', height: '64px' } },
+        number:   { title: 'Number',      label: 'Number',     placeholder: true, rules: ['range', 'match'], size: { width: '160px', height: '64px' } },
+        textarea: { title: 'Text Area',   label: 'Message',    placeholder: true, rules: ['length', 'pattern'], size: { width: '240px', height: '120px' } },
+        checkbox: { title: 'Checkbox',    label: 'Checkbox',   rules: [], size: { width: '200px', height: '40px' } },
+        radio:    { title: 'Radio Group', label: 'Choose one', options: true, rules: [], size: { width: '200px', height: '110px' } },
+        select:   { title: 'Select',      label: 'Select',     placeholder: true, options: true, rules: [], size: { width: '240px', height: '64px' } },
+        date:     { title: 'Date',        label: 'Date',       rules: ['range', 'match'], size: { width: '180px', height: '64px' } },
+        // The label is the button text, the button holds no value
+        submit:   { title: 'Submit Button', label: 'Submit',   button: true, rules: [], size: { width: '120px', height: '40px' } }
+    },
+
+    // Validation settings per rule, checked by window.FormRuntime (an empty setting is no rule)
+    RULE_KEYS: {
+        length: ['minLength', 'maxLength'],
+        pattern: ['pattern', 'patternMessage'],
+        range: ['min', 'max'],
+        match: ['matchField']
+    },
+
+    DEFAULT_OPTIONS: ['Option 1', 'Option 2', 'Option 3'],
+
+    // Create a new field instance, fieldType is one of FIELD_TYPES
+    createInstance: function(fieldType = 'text', options = {}) {
+        return window.ComponentTypeRegistry.createInstance('form-field', { ...options, fieldType });
+    },
+
+    getFieldType: function(component) {
+        return this.FIELD_TYPES[component.dataset.fieldType] ? component.dataset.fieldType : 'text';
+    },
+
+    // Field settings, all kept in the component dataset so they serialize with the form
+    getConfig: function(component) {
+        const fieldType = this.getFieldType(component);
+        const kind = this.FIELD_TYPES[fieldType];
+        const config = {
+            fieldType,
+            // Kept even when empty so a cleared label is not replaced by the default one on restore
+            label: component.dataset.label || ''
+        };
+        if (!kind.button) {
+            config.name = component.dataset.name || '';
+            config.required = component.dataset.required === 'true';
+            config.defaultValue = component.dataset.defaultValue || '';
+        }
+        if (kind.placeholder) config.placeholder = component.dataset.placeholder || '';
+        if (kind.options) config.options = this.getOptions(component);
+        kind.rules.forEach(rule => this.RULE_KEYS[rule].forEach(key => {
+            config[key] = component.dataset[key] || '';
+        }));
+        return config;
+    },
+
+    setConfig: function(component, config) {
+        if (config.fieldType !== undefined && this.FIELD_TYPES[config.fieldType]) {
+            component.dataset.fieldType = config.fieldType;
+        }
+        if (config.name !== undefined) component.dataset.name = config.name;
+        if (config.placeholder !== undefined) component.dataset.placeholder = config.placeholder;
+        if (config.required !== undefined) component.dataset.required = String(config.required === true || config.required === 'true');
+        if (config.defaultValue !== undefined) component.dataset.defaultValue = String(config.defaultValue);
+        Object.values(this.RULE_KEYS).flat().forEach(key => {
+            if (config[key] !== undefined) component.dataset[key] = String(config[key]);
+        });
+        if (config.options !== undefined) {
+            const options = Array.isArray(config.options) ? config.options : String(config.options).split(',');
+            component.dataset.options = JSON.stringify(options.map(option => String(option).trim()).filter(Boolean));
+        }
+    },
+
+    getOptions: function(component) {
+        try {
+            const options = JSON.parse(component.dataset.options || '[]');
+            return Array.isArray(options) ? options : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // === RENDERING ===
+    // Rebuilds the control from the config, which also resets it to its default value
+    renderControl: function(component) {
+        const config = this.getConfig(component);
+        const label = component.dataset.label || '';
+
+        let body = component.querySelector(':scope > .form-field-body');
+        if (!body) {
+            body = document.createElement('div');
+            body.className = 'form-field-body';
+            component.appendChild(body);
+        }
+        body.textContent = '';
+
+        switch (config.fieldType) {
+            case 'textarea': {
+                const textarea = this.createControl('textarea', config, label);
+                textarea.value = config.defaultValue;
+                if (config.placeholder) textarea.placeholder = config.placeholder;
+                body.appendChild(textarea);
+                break;
+            }
+            case 'select': {
+                const select = this.createControl('select', config, label);
+                if (config.placeholder) {
+                    const placeholder = select.appendChild(document.createElement('option'));
+                    placeholder.value = '';
+                    placeholder.textContent = config.placeholder;
+                    placeholder.disabled = true;
+                }
+                config.options.forEach(text => {
+                    const option = select.appendChild(document.createElement('option'));
+                    option.value = text;
+                    option.textContent = text;
+                });
+                if (config.options.includes(config.defaultValue)) {
+                    select.value = config.defaultValue;
+                } else if (config.placeholder) {
+                    select.value = '';
+                }
+                body.appendChild(select);
+                break;
+            }
+            case 'radio': {
+                body.setAttribute('role', 'radiogroup');
+                body.setAttribute('aria-label', label);
+                config.options.forEach(text => {
+                    const option = body.appendChild(document.createElement('label'));
+                    option.className = 'form-field-option';
+                    const radio = option.appendChild(this.createControl('input', config, text));
+                    radio.type = 'radio';
+                    radio.value = text;
+                    radio.checked = text === config.defaultValue;
+                    option.appendChild(document.createTextNode(text));
+                });
+                break;
+            }
+            case 'submit': {
+                const button = this.createControl('button', {}, '');
+                button.type = 'button';
+                button.classList.add('form-field-submit');
+                button.textContent = label || 'Submit';
+                body.appendChild(button);
+                break;
+            }
+            case 'checkbox': {
+                const checkbox = this.createControl('input', config, label);
+                checkbox.type = 'checkbox';
+                checkbox.checked = config.defaultValue === 'true';
+                body.appendChild(checkbox);
+                break;
+            }
+            default: {
+                const input = this.createControl('input', config, label);
+                input.type = config.fieldType;
+                input.value = config.defaultValue;
+                if (config.placeholder) input.placeholder = config.placeholder;
+                // Native limits where the browser offers them (spinners, date picker range, typing limit)
+                if (config.min) input.min = config.min;
+                if (config.max) input.max = config.max;
+                if (parseInt(config.maxLength) > 0) input.maxLength = parseInt(config.maxLength);
+                body.appendChild(input);
+            }
+        }
+
+        if (config.fieldType !== 'radio') {
+            body.removeAttribute('role');
+            body.removeAttribute('aria-label');
+        }
+
+        this.applyMode(component);
+    },
+
+    createControl: function(tagName, config, ariaLabel) {
+        const control = document.createElement(tagName);
+        control.className = 'form-field-control';
+        if (config.name) control.name = config.name;
+        control.required = !!config.required;
+        if (ariaLabel) control.setAttribute('aria-label', ariaLabel);
+        return control;
+    },
+
+    // === MODE ===
+    isPreviewMode: function() {
+        return !!window.ModeManager?.isPreviewMode();
+    },
+
+    // Inert controls take no focus or pointer input, so the field behaves as a design object
+    applyMode: function(component) {
+        const body = component.querySelector(':scope > .form-field-body');
+        if (body) body.inert = !this.isPreviewMode();
+    },
+
+    // Leaving Preview puts every field back to its default value
+    handleModeChange: function() {
+        const preview = this.isPreviewMode();
+        document.querySelectorAll('.form-field-component').forEach(component => {
+            if (preview) {
+                this.applyMode(component);
+            } else {
+                this.renderControl(component);
+            }
+        });
+    },
+
+    // Ensure component styles are loaded in the document
+    ensureStylesLoaded: function() {
+        window.BaseUserComponentFactory?.ensureStylesLoaded();
+        if (!document.querySelector('style[data-component="form-field-component"]')) {
+            const style = document.createElement('style');
+            style.setAttribute('data-component', 'form-field-component');
+            style.textContent = `
+                .form-field-component {
+                    display: flex; flex-direction: column; gap: 4px; padding: 8px;
+                    box-sizing: border-box; background: #fff; border-radius: 6px; box-shadow: none;
+                }
+                .form-field-component > .component-label { position: static; flex: none; }
+                .form-field-component[data-required="true"] > .component-label::after { content: ' *'; color: #c00; }
+                .form-field-body { flex: 1; display: flex; flex-direction: column; min-height: 0; }
+                .form-field-body[inert] { pointer-events: none; }
+                .form-field-control { box-sizing: border-box; width: 100%; font: inherit; font-size: 13px; padding: 4px 6px; }
+                textarea.form-field-control { flex: 1; resize: none; }
+                .form-field-option { display: flex; align-items: center; gap: 6px; font-size: 13px; }
+                .form-field-option > .form-field-control, .form-field-body > input[type="checkbox"] { width: auto; margin: 0; }
+                .form-field-component[data-field-type="checkbox"] { flex-direction: row-reverse; justify-content: flex-end; align-items: center; }
+                .form-field-component[data-field-type="checkbox"] > .form-field-body { flex: none; }
+                .form-field-component[data-field-type="submit"] > .component-label { display: none; }
+                .form-field-submit {
+                    flex: 1; cursor: pointer; border: none; border-radius: 4px;
+                    background: #007ACC; color: #fff; font-weight: bold;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+};
+
+// Form field type definitions, built by window.ComponentTypeRegistry.createInstance()
+(function() {
+    const factory = window.FormFieldComponentFactory;
+
+    const setup = (component, options) => {
+        factory.ensureStylesLoaded();
+        const fieldType = factory.FIELD_TYPES[options.fieldType] ? options.fieldType : 'text';
+        const kind = factory.FIELD_TYPES[fieldType];
+
+        // Validation settings and anything else restored from a saved form come straight from options
+        factory.setConfig(component, {
+            ...options,
+            fieldType,
+            name: options.name ?? component.id,
+            placeholder: options.placeholder ?? '',
+            required: options.required ?? false,
+            defaultValue: options.defaultValue ?? '',
+            options: options.options ?? (kind.options ? factory.DEFAULT_OPTIONS : [])
+        });
+        window.ComponentTypeRegistry.setLabel(component, options.label ?? kind.label);
+        factory.renderControl(component);
+    };
+
+    const definition = {
+        capabilities: { draggable: true, resize: 'both', nestable: true, acceptsChildren: false, snapping: true, label: true },
+        behaviors: ['selection', 'move', 'nesting', 'resize'],
+        readConfig: (component) => factory.getConfig(component),
+        applyConfig: (component, config) => {
+            factory.setConfig(component, config);
+            factory.renderControl(component);
+        }
+    };
+
+    window.ComponentTypeRegistry.register('form-field', {
+        ...definition,
+        classes: ['base-user-component', 'form-field-component'],
+        defaultPosition: { left: '220px', top: '10px' },
+        defaultSize: (options) => (factory.FIELD_TYPES[options.fieldType] || factory.FIELD_TYPES.text).size,
+        setup,
+        galleryChildType: 'gallery-form-field'
+    });
+
+    // Inside a gallery a field is laid out like any gallery child, keeping its control and settings
+    window.ComponentTypeRegistry.register('gallery-form-field', {
+        ...definition,
+        classes: ['base-user-component', 'gallery-child', 'form-field-component'],
+        capabilities: { ...definition.capabilities, resize: 'y' },
+        defaultSize: (options) => ({
+            ...window.ComponentTypeRegistry.get('gallery-child').defaultSize(options),
+            height: (factory.FIELD_TYPES[options.fieldType] || factory.FIELD_TYPES.text).size.height
+        }),
+        defaultStyles: { position: 'absolute', marginBottom: '0px' },
+        behaviors: ['selection', 'galleryReorder', 'nesting', 'galleryChildResize'],
+        setup: (component, options) => {
+            setup(component, options);
+            window.GalleryComponentFactory.updateGalleryHeight(options.container);
+        }
+    });
+
+    document.addEventListener('appModeChanged', () => factory.handleModeChange());
+})();
+
+// Auto-register factory when this script loads
+console.log('Form Field Component Factory loaded and ready');
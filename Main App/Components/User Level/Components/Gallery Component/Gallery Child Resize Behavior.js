@@ -2,98 +2,97 @@
 // Custom resize behavior for gallery children (ResizableY only)
 
 (function() {
-    const galleryChildren = document.querySelectorAll('.gallery-child:not([data-resize-behavior-initialized])');
-    if (!galleryChildren.length) return;
+    // Pending handle add/remove timeouts per child, cleared on detach
+    const handleTimeouts = new WeakMap();
 
-    galleryChildren.forEach(child => {
-        if (child.dataset.resizeBehaviorInitialized) return;
-        child.dataset.resizeBehaviorInitialized = 'true';
-        
-        console.log('Gallery child resize behavior attached to:', child.id);
-        
-        let addHandlesTimeout = null;
-        let removeHandlesTimeout = null;
-        
-        // NEW: Handle gallery-specific resize initiation from Events Handler
-        child.addEventListener('startGalleryResize', (e) => {
-            const {mouse, handle} = e.detail;
-            
-            // Only allow vertical resize for gallery children
-            if (handle.dataset.handle === 'n' || handle.dataset.handle === 's') {
-                console.log('Starting gallery child resize operation:', child.id, handle.dataset.handle);
-                window.EventsHandler.start('resize', child, handle.dataset.handle);
-            }
-        });
-        
-        // Handle live resize updates
-        child.addEventListener('liveResize', (e) => {
-            const {mouse, handle} = e.detail;
-            performChildResize(child, mouse, handle);
-        });
-        
-        // Handle resize completion
-        child.addEventListener('completeResize', (e) => {
-            console.log('Gallery child resize completed:', child.id);
-            const gallery = child.closest('.gallery-component');
-            if (gallery && window.GalleryComponentFactory) {
-                window.GalleryComponentFactory.updateGalleryHeight(gallery);
-            }
-        });
-        
-        child.addEventListener('showResizeHandles', () => {
-            if (removeHandlesTimeout) {
-                clearTimeout(removeHandlesTimeout);
-                removeHandlesTimeout = null;
-            }
-            if (!addHandlesTimeout) {
-                addHandlesTimeout = setTimeout(() => {
-                    addChildResizeHandles(child);
-                    addHandlesTimeout = null;
-                }, 10);
-            }
-        });
-        
-        child.addEventListener('hideResizeHandles', () => {
-            if (addHandlesTimeout) {
-                clearTimeout(addHandlesTimeout);
-                addHandlesTimeout = null;
-            }
-            if (!removeHandlesTimeout) {
-                removeHandlesTimeout = setTimeout(() => {
-                    removeChildResizeHandles(child);
-                    removeHandlesTimeout = null;
-                }, 10);
+    window.BehaviorRegistry.register('galleryChildResize', {
+        attach(child, listen) {
+            console.log('Gallery child resize behavior attached to:', child.id);
+
+            const timeouts = { add: null, remove: null };
+            handleTimeouts.set(child, timeouts);
+
+            // NEW: Handle gallery-specific resize initiation from Events Handler
+            listen('startGalleryResize', (e) => {
+                const {mouse, handle} = e.detail;
+
+                // Only allow vertical resize for gallery children
+                if (handle.dataset.handle === 'n' || handle.dataset.handle === 's') {
+                    console.log('Starting gallery child resize operation:', child.id, handle.dataset.handle);
+                    window.EventsHandler.start('resize', child, handle.dataset.handle);
+                }
+            });
+
+            // Handle live resize updates
+            listen('liveResize', (e) => {
+                const {mouse, handle} = e.detail;
+                performChildResize(child, mouse, handle);
+            });
+
+            // Handle resize completion
+            listen('completeResize', (e) => {
+                console.log('Gallery child resize completed:', child.id);
+                window.OperationsUtility.clearResizeStart(child);
+                // The stack closes up behind the new height (a north or centered resize moved the top too)
+                const gallery = child.closest('.gallery-component');
+                if (gallery && window.GalleryComponentFactory) {
+                    window.GalleryComponentFactory.updateChildWidths(gallery);
+                    window.GalleryComponentFactory.updateGalleryHeight(gallery);
+                }
+            });
+
+            // A cancelled resize starts over next time
+            listen('resetOperationState', () => {
+                window.OperationsUtility.clearResizeStart(child);
+            });
+
+            listen('showResizeHandles', () => {
+                if (timeouts.remove) {
+                    clearTimeout(timeouts.remove);
+                    timeouts.remove = null;
+                }
+                if (!timeouts.add) {
+                    timeouts.add = setTimeout(() => {
+                        addChildResizeHandles(child);
+                        timeouts.add = null;
+                    }, 10);
+                }
+            });
+
+            listen('hideResizeHandles', () => {
+                if (timeouts.add) {
+                    clearTimeout(timeouts.add);
+                    timeouts.add = null;
+                }
+                if (!timeouts.remove) {
+                    timeouts.remove = setTimeout(() => {
+                        removeChildResizeHandles(child);
+                        timeouts.remove = null;
+                    }, 10);
+                }
+            });
+        },
+        detach(child) {
+            const timeouts = handleTimeouts.get(child);
+            if (timeouts) {
+                clearTimeout(timeouts.add);
+                clearTimeout(timeouts.remove);
+                handleTimeouts.delete(child);
             }
-        });
+            removeChildResizeHandles(child);
+            window.OperationsUtility.clearResizeStart(child);
+        }
     });
 
+    // Height only (ResizableY) - Alt from the center and edge snapping as for any component, at least 20px high
     function performChildResize(child, mouse, handle) {
-        const rect = child.getBoundingClientRect();
-        let newHeight = parseInt(child.style.height) || rect.height;
-        
-        if (handle === 's') {
-            // South handle - increase height with mouse movement down
-            newHeight += mouse.deltaY;
-        } else if (handle === 'n') {
-            // North handle - increase height with mouse movement up, adjust position
-            const oldHeight = newHeight;
-            newHeight -= mouse.deltaY;
-            
-            // Adjust position to keep the bottom edge in place
-            const currentTop = parseInt(child.style.top) || 0;
-            child.style.top = (currentTop + (oldHeight - newHeight)) + 'px';
-        }
-        
-        // Apply minimum height constraint
-        newHeight = Math.max(newHeight, 20);
-        child.style.height = newHeight + 'px';
-        
-        console.log(`Gallery child resized to height: ${newHeight}px`);
+        const box = window.OperationsUtility.applyResize(child, handle, mouse, { height: 20 });
+        if (box) console.log(`Gallery child resized to height: ${box.height}px`);
     }
 
     function addChildResizeHandles(child) {
         const existingHandles = child.querySelectorAll('.resize-handle');
-        if (existingHandles.length > 0) return;
+        if (existingHandles.length > 0 || window.OperationsUtility.isLocked(child)) return;
         
         // Only vertical resize handles for gallery children (ResizableY)
         ['n', 's'].forEach(handle => {
@@ -13,40 +13,13 @@
 //      Use base user nesting behavior
 //      Use ResizableY instead of ResizableXorYAxis
 //      The width is controlled by the gallery (their parent)
-//      There is an 8 px gap between each child element
+//      Dragged beyond the gallery they nest like any component, and get their own width and resizing back
+//      There is an 8 px gap between each child element (gap and padding are configurable per gallery)
 
 window.GalleryComponentFactory = {
     // Create a new gallery instance
     createInstance: function(options = {}) {
-        const galleryId = `gallery-component_${Date.now()}`;
-        
-        // Create the gallery container element
-        const gallery = document.createElement('div');
-        gallery.className = 'base-user-component gallery-component draggable ResizableX isNestable acceptsChildren snapping';
-        gallery.setAttribute('data-component', 'gallery-component');
-        gallery.id = galleryId;
-        
-        // Set default position or use provided options
-        gallery.style.position = 'absolute'; // Ensure gallery is positioned
-        gallery.style.left = options.left || '220px';
-        gallery.style.top = options.top || '10px';
-        gallery.style.width = options.width || '300px';
-        gallery.style.height = options.height || '120px'; // Initial height, will be updated based on children
-        
-        // Append to specified container or main canvas
-        const container = options.container || document.getElementById('mainCanvas');
-        if (container) {
-            container.appendChild(gallery);
-        }
-        
-        // Load base behaviors for the gallery itself
-        this.loadGalleryBehaviors(galleryId);
-        
-        // Add listener for child management
-        this.setupChildManagement(gallery);
-        
-        console.log('Gallery Component instance created:', galleryId);
-        return gallery;
+        return window.ComponentTypeRegistry.createInstance('gallery-component', options);
     },
     
     // Create a gallery child item
@@ -54,149 +27,46 @@ window.GalleryComponentFactory = {
     // TODO: Extend nesting behavior to automatically add "childOfGallery" class 
     //       when components are nested into gallery containers
     createChildItem: function(gallery, options = {}) {
-        const childId = `gallery-child_${Date.now()}`;
-        
-        // Create the child element
-        const child = document.createElement('div');
-        child.className = 'base-user-component gallery-child draggable ResizableY isNestable snapping';
-        child.setAttribute('data-component', 'gallery-child');
-        child.id = childId;
-        
-        // Set child dimensions - width controlled by gallery, height resizable
-        const galleryWidth = parseInt(gallery.style.width) || 300;
-        child.style.width = (galleryWidth - 20) + 'px'; // 10px padding on each side
-        child.style.height = options.height || '80px';
-        child.style.position = 'absolute'; // Use absolute positioning within gallery
-        child.style.marginBottom = '0px'; // No margin needed with absolute positioning
-        
-        // Add to gallery
-        gallery.appendChild(child);
-        
-        // Load behaviors for the child
-        this.loadChildBehaviors(childId);
-        
-        // Update gallery height
-        this.updateGalleryHeight(gallery);
-        
-        console.log('Gallery child created:', childId);
-        return child;
+        return window.ComponentTypeRegistry.createInstance('gallery-child', { ...options, container: gallery });
     },
     
-    // Load behaviors for the gallery container
-    // TODO: This is not inheritance - we're duplicating behavior loading logic
-    // Should refactor to call BaseUserComponentFactory.loadComponentBehaviors() instead
-    loadGalleryBehaviors: function(galleryId) {
-        const behaviors = [
-            'Base User Component Snapping Modifier.js',
-            'Base User Component Selection Behavior.js',
-            'Base User Component Move Behavior.js',
-            'Gallery Component Nesting Behavior.js',
-            'Gallery Component Resize Behavior.js'
-        ];
-        
-        const basePath = '../Components/User Level/Components/Base User Component/';
-        
-        behaviors.forEach(behavior => {
-            const cacheBuster = `?v=${Date.now()}`;
-            // Use different path for Gallery Component behaviors
-            const behaviorPath = behavior.startsWith('Gallery Component') 
-                ? `../Components/User Level/Components/Gallery Component/${behavior}${cacheBuster}`
-                : `${basePath}${behavior}${cacheBuster}`;
-            
-            fetch(behaviorPath)
-                .then(response => response.text())
-                .then(script => {
-                    let modifiedScript = script.replace(
-                        /const components = document\.querySelectorAll\('\.base-user-component'\);/g,
-                        `const components = [document.getElementById('${galleryId}')];`
-                    );
-                    
-                    modifiedScript = modifiedScript.replace(
-                        /const component = document\.querySelector\('\.base-user-component'\);/g,
-                        `const component = document.getElementById('${galleryId}');`
-                    );
-                    
-                    eval(modifiedScript);
-                    console.log(`${behavior} loaded for gallery:`, galleryId);
-                })
-                .catch(error => console.error(`Error loading ${behavior}:`, error));
-        });
-    },
+    // Spacing between children and around them, set per gallery from the properties panel
+    DEFAULT_GAP: 8,
+    DEFAULT_PADDING: 10,
     
-    // Load behaviors for gallery children
-    // TODO: This is not inheritance - we're duplicating behavior loading logic
-    // Should refactor to call BaseUserComponentFactory.loadComponentBehaviors() instead
-    loadChildBehaviors: function(childId) {
-        const behaviors = [
-            'Base User Component Snapping Modifier.js',
-            'Base User Component Selection Behavior.js',
-            'Gallery Component Move Behavior.js',
-            'Base User Component Nesting Behavior.js',
-            'Gallery Child Resize Behavior.js'
-        ];
-        
-        const basePath = '../Components/User Level/Components/Base User Component/';
-        
-        behaviors.forEach(behavior => {
-            const cacheBuster = `?v=${Date.now()}`;
-            let behaviorPath;
-            
-            if (behavior.startsWith('Gallery Component') || behavior.startsWith('Gallery Child')) {
-                // Gallery-specific behaviors are in the Gallery Component folder
-                behaviorPath = `../Components/User Level/Components/Gallery Component/${behavior}${cacheBuster}`;
-            } else {
-                // Base behaviors are in the Base User Component folder
-                behaviorPath = `${basePath}${behavior}${cacheBuster}`;
-            }
-            
-            fetch(behaviorPath)
-                .then(response => response.text())
-                .then(script => {
-                    let modifiedScript = script.replace(
-                        /const components = document\.querySelectorAll\('\.base-user-component'\);/g,
-                        `const components = [document.getElementById('${childId}')];`
-                    );
-                    
-                    modifiedScript = modifiedScript.replace(
-                        /const component = document\.querySelector\('\.base-user-component'\);/g,
-                        `const component = document.getElementById('${childId}');`
-                    );
-                    
-                    eval(modifiedScript);
-                    console.log(`${behavior} loaded for child:`, childId);
-                })
-                .catch(error => console.error(`Error loading ${behavior}:`, error));
-        });
+    getLayout: function(gallery) {
+        const gap = parseInt(gallery?.dataset.gap);
+        const padding = parseInt(gallery?.dataset.padding);
+        return {
+            gap: isNaN(gap) ? this.DEFAULT_GAP : gap,
+            padding: isNaN(padding) ? this.DEFAULT_PADDING : padding
+        };
     },
     
-    // Setup child management for the gallery
-    setupChildManagement: function(gallery) {
-        // Listen for child additions
-        gallery.addEventListener('galleryChildAdded', (e) => {
-            this.updateGalleryHeight(gallery);
-            this.updateChildWidths(gallery);
-        });
-        
-        // Listen for gallery resize to update child widths
-        gallery.addEventListener('completeResize', (e) => {
-            this.updateChildWidths(gallery);
-        });
+    // How the form runtime collects the gallery's fields: under dataKey as an object,
+    // or as a list of values when dataList is set - no dataKey keeps them in the parent's data
+    getDataSettings: function(gallery) {
+        return {
+            dataKey: gallery?.dataset.dataKey || '',
+            dataList: gallery?.dataset.dataList === 'true'
+        };
     },
     
     // Update gallery height based on children
     updateGalleryHeight: function(gallery) {
-        const children = gallery.querySelectorAll('.gallery-child');
-        let totalHeight = 20; // 10px padding top + bottom
+        const children = gallery.querySelectorAll(':scope > .gallery-child');
+        const {gap, padding} = this.getLayout(gallery);
+        let totalHeight = padding * 2; // padding top + bottom
         
         children.forEach(child => {
             console.log('Total height:', totalHeight);
             totalHeight += parseInt(child.style.height) || parseInt(window.getComputedStyle(child).height);
-            totalHeight += 8; // Gap between children
+            totalHeight += gap; // Gap between children
         });
         
         // Remove the last gap
         if (children.length > 0) {
-            totalHeight -= 8;
+            totalHeight -= gap;
         }
         
         gallery.style.height = totalHeight + 'px';
@@ -205,28 +75,288 @@ window.GalleryComponentFactory = {
     
     // Update child width and positions when gallery is resized
     updateChildWidths: function(gallery) {
-        const children = gallery.querySelectorAll('.gallery-child');
+        const children = gallery.querySelectorAll(':scope > .gallery-child');
+        const {gap, padding} = this.getLayout(gallery);
         const galleryWidth = parseInt(gallery.style.width) || 300;
-        const galleryHeight = parseInt(gallery.style.height) || 120;
-        const childWidth = galleryWidth - 20; // 10px padding on each side
+        const childWidth = galleryWidth - padding * 2; // padding on each side
         
-        let currentY = 10; // Start with 10px padding from top
+        let currentY = padding; // Start with padding from top
         
         children.forEach((child, index) => {
             child.style.width = childWidth + 'px';
             // Reset x position to maintain proper alignment within gallery
-            child.style.left = '10px'; // 10px padding from gallery left edge
+            child.style.left = padding + 'px'; // padding from gallery left edge
             // Set y position to stack children vertically with gaps
             child.style.top = currentY + 'px';
             
             // Update currentY for next child (height + gap)
             const childHeight = parseInt(child.style.height) || parseInt(window.getComputedStyle(child).height);
-            currentY += childHeight + 8; // 8px gap between children
+            currentY += childHeight + gap; // gap between children
         });
         
         console.log(`Child widths updated to: ${childWidth}px and positions reset with vertical stacking`);
     }
 };
 
+// Child management for the gallery - a behavior, so it goes away when the gallery is converted to another type
+window.BehaviorRegistry.register('galleryChildManagement', {
+    attach(gallery, listen) {
+        const factory = window.GalleryComponentFactory;
+
+        // Listen for child additions
+        listen('galleryChildAdded', (e) => {
+            factory.updateGalleryHeight(gallery);
+            factory.updateChildWidths(gallery);
+        });
+
+        // Listen for children dragged out of the gallery
+        listen('galleryChildRemoved', (e) => {
+            factory.updateChildWidths(gallery);
+            factory.updateGalleryHeight(gallery);
+        });
+
+        // Listen for gallery resize to update child widths
+        listen('completeResize', (e) => {
+            factory.updateChildWidths(gallery);
+        });
+    }
+});
+
+// Gallery type definitions, built by window.ComponentTypeRegistry.createInstance()
+window.ComponentTypeRegistry.register('gallery-component', {
+    classes: ['base-user-component', 'gallery-component'],
+    capabilities: { draggable: true, resize: 'x', nestable: true, acceptsChildren: true, snapping: true, label: true },
+    defaultPosition: { left: '220px', top: '10px' },
+    // Initial height, will be updated based on children
+    defaultSize: { width: '300px', height: '120px' },
+    defaultStyles: { position: 'absolute' },
+    behaviors: ['selection', 'move', 'nesting', 'galleryNesting', 'galleryResize', 'galleryChildManagement', 'rightClickMenu'],
+    setup: (gallery, options) => {
+        window.BaseUserComponentFactory?.ensureStylesLoaded();
+        if (options.gap !== undefined) gallery.dataset.gap = parseInt(options.gap);
+        if (options.padding !== undefined) gallery.dataset.padding = parseInt(options.padding);
+        if (options.dataKey) gallery.dataset.dataKey = options.dataKey;
+        if (options.dataList) gallery.dataset.dataList = 'true';
+    },
+    readConfig: (gallery) => ({
+        ...window.GalleryComponentFactory.getLayout(gallery),
+        ...window.GalleryComponentFactory.getDataSettings(gallery)
+    }),
+    applyConfig: (gallery, config) => {
+        if (config.dataKey !== undefined) gallery.dataset.dataKey = config.dataKey;
+        if (config.dataList !== undefined) gallery.dataset.dataList = String(config.dataList === true || config.dataList === 'true');
+        if (config.gap !== undefined) gallery.dataset.gap = parseInt(config.gap) || 0;
+        if (config.padding !== undefined) gallery.dataset.padding = parseInt(config.padding) || 0;
+        window.GalleryComponentFactory.updateChildWidths(gallery);
+        window.GalleryComponentFactory.updateGalleryHeight(gallery);
+    }
+});
+
+window.ComponentTypeRegistry.register('gallery-child', {
+    classes: ['base-user-component', 'gallery-child'],
+    capabilities: { draggable: true, resize: 'y', nestable: true, acceptsChildren: false, snapping: true, label: true },
+    // Width controlled by gallery (padding on each side), height resizable
+    defaultSize: (options) => ({
+        width: ((parseInt(options.container?.style.width) || 300) -
+                window.GalleryComponentFactory.getLayout(options.container).padding * 2) + 'px',
+        height: '80px'
+    }),
+    // Absolute positioning within gallery, no margin needed
+    defaultStyles: { position: 'absolute', marginBottom: '0px' },
+    behaviors: ['selection', 'galleryReorder', 'nesting', 'galleryChildResize', 'rightClickMenu'],
+    setup: (child, options) => {
+        window.GalleryComponentFactory.updateGalleryHeight(options.container);
+    }
+});
+
+// === RIGHT-CLICK MENU ===
+// Gallery conversions, contributed to window.ContextMenuRegistry (the menu owns the 'Convert to' submenu)
+(function() {
+    const isGallery = (el) => el.classList.contains('gallery-component');
+    const isGalleryChild = (el) => el.classList.contains('gallery-child');
+
+    // Convert base component to gallery component
+    function convertToGallery(targetComponent) {
+        if (!targetComponent) {
+            console.error('Cannot convert to gallery: missing component');
+            return;
+        }
+
+        // Get current component properties
+        const componentId = targetComponent.id;
+        const historyBefore = window.History?.capture(targetComponent);
+
+        // Update the existing component to be a gallery (classes and behaviors, child management included,
+        // from its type definition)
+        window.ComponentTypeRegistry.applyType(targetComponent, 'gallery-component');
+        targetComponent.id = `gallery-component_${Date.now()}`;
+
+        // Fire custom event to notify of conversion
+        const convertEvent = new CustomEvent('componentConvertedToGallery', {
+            detail: {
+                originalId: componentId,
+                newId: targetComponent.id,
+                type: 'gallery'
+            }
+        });
+        document.dispatchEvent(convertEvent);
+
+        window.History?.record('convertToGallery', targetComponent, historyBefore);
+
+        console.log(`Converted ${componentId} to gallery component ${targetComponent.id}`);
+    }
+
+    // A new gallery where the components are, holding them in their top-to-bottom order - one History command
+    function wrapInGallery(components) {
+        const parent = components[0]?.parentElement;
+        if (!parent) return null;
+
+        const utility = window.OperationsUtility;
+        const ordered = components.slice().sort((a, b) => utility.getStyleNumber(a, 'top') - utility.getStyleNumber(b, 'top'));
+        const left = Math.min(...ordered.map(el => utility.getStyleNumber(el, 'left')));
+        const top = Math.min(...ordered.map(el => utility.getStyleNumber(el, 'top')));
+        const entries = window.History ? ordered.map(element => ({ element, before: window.History.capture(element) })) : [];
+
+        // The gallery takes the place of the front-most component in the stack
+        const front = ordered.reduce((a, b) => (utility.getStackIndex(a) > utility.getStackIndex(b) ? a : b));
+        const gallery = window.GalleryComponentFactory.createInstance({
+            container: parent,
+            left: left + 'px',
+            top: top + 'px'
+        });
+        parent.insertBefore(gallery, front.nextSibling);
+
+        // Wide enough for the widest component
+        const {padding} = window.GalleryComponentFactory.getLayout(gallery);
+        const width = Math.max(...ordered.map(el => utility.getStyleNumber(el, 'width'))) + padding * 2;
+        gallery.style.width = utility.clampSize(gallery, 'width', width, 100) + 'px';
+
+        ordered.forEach(element => window.NestingBehavior.performNesting(element, gallery));
+        window.GalleryComponentFactory.updateChildWidths(gallery);
+        window.GalleryComponentFactory.updateGalleryHeight(gallery);
+
+        // The gallery did not exist before, so undo removes it once its children are back out
+        if (window.History) {
+            window.History.recordEntries('wrapInGallery', [
+                { element: gallery, before: { ...window.History.capture(gallery), parent: null, nextSibling: null } },
+                ...entries
+            ]);
+        }
+
+        window.clearAllSelections?.();
+        window.selectComponent?.(gallery);
+        console.log('Wrapped in gallery:', gallery.id, ordered.map(el => el.id).join(', '));
+        return gallery;
+    }
+
+    // Gallery children back to the free-standing type they came from, where they are now - their left/top
+    // are already relative to the gallery and their width is the one the gallery gave them
+    function releaseGalleryChildren(gallery) {
+        const registry = window.ComponentTypeRegistry;
+        return Array.from(gallery.querySelectorAll(':scope > .gallery-child')).map(child => {
+            child.dispatchEvent(new CustomEvent('hideResizeHandles'));
+            registry.applyType(child, registry.standaloneTypeFor(child.dataset.component));
+            return child;
+        });
+    }
+
+    // Reverse of convertToGallery: a plain container holding the children where they are - one History command
+    function convertToBaseComponent(gallery) {
+        if (!gallery || !isGallery(gallery)) return null;
+
+        const children = Array.from(gallery.querySelectorAll(':scope > .gallery-child'));
+        const entries = window.History
+            ? [gallery, ...children].map(element => ({ element, before: window.History.capture(element) }))
+            : [];
+        const galleryId = gallery.id;
+
+        window.clearAllSelections?.();
+        gallery.dispatchEvent(new CustomEvent('hideResizeHandles'));
+        releaseGalleryChildren(gallery);
+        window.ComponentTypeRegistry.applyType(gallery, 'base-user-component');
+        // Only the id convertToGallery generated is replaced, a custom one stays
+        if (gallery.id.startsWith('gallery-component_')) {
+            gallery.id = `base-user-component_${Date.now()}`;
+        }
+
+        document.dispatchEvent(new CustomEvent('componentConvertedToBase', {
+            detail: {
+                originalId: galleryId,
+                newId: gallery.id,
+                type: 'base'
+            }
+        }));
+
+        window.History?.recordEntries('convertToBaseComponent', entries);
+        window.selectComponent?.(gallery);
+        console.log(`Converted gallery ${galleryId} to base component ${gallery.id}`);
+        return gallery;
+    }
+
+    // Lift the children of each gallery into the gallery's parent, in its place in the stack, and remove the gallery
+    function ungroupGalleries(galleries) {
+        const utility = window.OperationsUtility;
+        const lifted = [];
+        const removed = [];
+
+        window.clearAllSelections?.();
+        galleries.filter(gallery => isGallery(gallery) && gallery.parentElement).forEach(gallery => {
+            const parent = gallery.parentElement;
+            const children = Array.from(gallery.querySelectorAll(':scope > .gallery-child'));
+            // Recorded bottom of the stack last, so redo can put each child in front of the one lifted after it
+            children.slice().reverse().forEach(element => lifted.push({ element, before: window.History?.capture(element) }));
+            removed.push({ element: gallery, before: window.History?.capture(gallery) });
+
+            const positions = children.map(child => utility.getPositionIn(child, parent));
+            gallery.dispatchEvent(new CustomEvent('hideResizeHandles'));
+            releaseGalleryChildren(gallery).forEach((child, index) => {
+                parent.insertBefore(child, gallery);
+                child.style.left = positions[index].x + 'px';
+                child.style.top = positions[index].y + 'px';
+            });
+            utility.removeComponent(gallery);
+        });
+
+        // The galleries come last, so undo brings them back before their children return into them
+        if (window.History) {
+            window.History.recordEntries('ungroup', [...lifted, ...removed]);
+        }
+
+        lifted.forEach(({element}) => window.selectComponent?.(element));
+        console.log('Ungrouped:', removed.map(({element}) => element.id).join(', '));
+        return lifted.map(({element}) => element);
+    }
+
+    const registry = window.ContextMenuRegistry;
+    [
+        { id: 'convert-to-gallery', parent: 'convert-to', label: 'Gallery Component', icon: '📁', order: 10,
+          types: ['base-user-component'], isVisible: (context) => context.targets.length === 1,
+          run: (context) => convertToGallery(context.component) },
+        { id: 'convert-to-base', parent: 'convert-to', label: 'Base Component', icon: '▭', order: 20,
+          types: ['gallery-component'], isVisible: (context) => context.targets.length === 1,
+          isEnabled: (context) => !window.OperationsUtility.isLocked(context.component),
+          run: (context) => convertToBaseComponent(context.component) },
+        // Siblings outside a gallery - a gallery nested in a gallery would become a plain child of it
+        { id: 'wrap-in-gallery', label: 'Wrap in Gallery', icon: '▤', group: 'structure', order: 80,
+          isVisible: (context) => context.targets.every(el => !isGalleryChild(el)),
+          isEnabled: (context) => context.targets.every(el => el.parentElement === context.targets[0].parentElement &&
+                                                              el.classList.contains('isNestable') &&
+                                                              !isGallery(el) &&
+                                                              !window.OperationsUtility.isLocked(el)) &&
+                                  !isGallery(context.targets[0].parentElement),
+          run: (context) => wrapInGallery(context.targets) },
+        { id: 'ungroup', label: 'Ungroup', icon: '⇱', group: 'structure', order: 85, types: ['gallery-component'],
+          isEnabled: (context) => context.targets.every(el => !window.OperationsUtility.isLocked(el)),
+          run: (context) => ungroupGalleries(context.targets) }
+    ].forEach(action => registry.register(action));
+
+    Object.assign(window.GalleryComponentFactory, {
+        convertToGallery,
+        convertToBaseComponent,
+        wrapInGallery,
+        ungroupGalleries
+    });
+})();
+
 // Auto-register factory when this script loads
 console.log('Gallery Component Factory loaded and ready');
\ No newline at end of file
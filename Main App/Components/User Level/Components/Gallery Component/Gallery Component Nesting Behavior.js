@@ -1,21 +1,25 @@
 // Gallery Component Nesting Behavior
-// Simple conversion of components dropped into galleries to gallery children
+// Simple conversion of components dropped into galleries to gallery children, and back when they leave
 
 (function() {
-    const galleries = document.querySelectorAll('.gallery-component');
-    if (!galleries.length) return;
+    window.BehaviorRegistry.register('galleryNesting', {
+        attach(gallery, listen) {
+            console.log('Gallery nesting behavior attached to:', gallery.id);
 
-    galleries.forEach(gallery => {
-        if (gallery.dataset.galleryNestingInitialized) return;
-        gallery.dataset.galleryNestingInitialized = 'true';
+            // Listen for components being nested into this gallery
+            listen('galleryChildAdded', (e) => {
+                const child = e.detail.child;
+                convertToGalleryChild(gallery, child);
+            });
 
-        console.log('Gallery nesting behavior attached to:', gallery.id);
-
-        // Listen for components being nested into this gallery
-        gallery.addEventListener('galleryChildAdded', (e) => {
-            const child = e.detail.child;
-            convertToGalleryChild(gallery, child);
-        });
+            // Children nested out of this gallery - into another gallery they stay gallery children
+            listen('galleryChildRemoved', (e) => {
+                const {child, newParent} = e.detail;
+                if (!newParent?.classList.contains('gallery-component')) {
+                    convertFromGalleryChild(child);
+                }
+            });
+        }
     });
 
     function convertToGalleryChild(gallery, component) {
@@ -27,33 +31,33 @@
 
         console.log('Converting component to gallery child:', component.id);
 
-        // Convert to gallery child
-        component.classList.add('gallery-child');
-        component.classList.remove('ResizableXorYAxis');
-        component.classList.add('ResizableY');
-        component.setAttribute('data-component', 'gallery-child');
+        // Convert to gallery child - classes and behaviors come from its type definition
+        // (types with their own content, like form fields, name the child type that keeps it)
+        const registry = window.ComponentTypeRegistry;
+        registry.applyType(component, registry.galleryChildTypeFor(component.dataset.component));
 
         // IMPORTANT: Clear any transform or drag-related styling
         component.style.transform = '';
         component.style.zIndex = '';
         component.style.visibility = 'visible';
         
+        // Width it had on its own, given back when it leaves the gallery
+        component.dataset.standaloneWidth = component.style.width;
+
         // Set child dimensions - width controlled by gallery, height resizable
         const galleryWidth = parseInt(gallery.style.width) || 300;
-        component.style.width = (galleryWidth - 20) + 'px'; // 10px padding on each side
+        const {padding} = window.GalleryComponentFactory.getLayout(gallery);
+        component.style.width = (galleryWidth - padding * 2) + 'px'; // padding on each side
         component.style.position = 'absolute'; // Use absolute positioning within gallery
         component.style.marginBottom = '0px'; // No margin needed with absolute positioning
         
         // CRITICAL: Reset positioning immediately to prevent visual glitches
-        component.style.left = '10px'; // Reset left position for gallery layout
-        component.style.top = '10px'; // Temporary position, will be recalculated
+        component.style.left = padding + 'px'; // Reset left position for gallery layout
+        component.style.top = padding + 'px'; // Temporary position, will be recalculated
         
         console.log('Component positioning reset for gallery layout:', component.id);
 
-        // Load gallery child behaviors
         if (window.GalleryComponentFactory) {
-            window.GalleryComponentFactory.loadChildBehaviors(component.id);
-            
             // Update gallery layout - use immediate execution to prevent timing issues
             window.GalleryComponentFactory.updateChildWidths(gallery);
             window.GalleryComponentFactory.updateGalleryHeight(gallery);
@@ -68,4 +72,18 @@
 
         console.log('Component converted to gallery child:', component.id);
     }
+
+    // Free-standing type and width again (the gallery child type only resizes vertically), where it was dropped
+    function convertFromGalleryChild(component) {
+        if (!component?.classList.contains('gallery-child')) return;
+
+        const registry = window.ComponentTypeRegistry;
+        component.dispatchEvent(new CustomEvent('hideResizeHandles'));
+        registry.applyType(component, registry.standaloneTypeFor(component.dataset.component));
+        if (component.dataset.standaloneWidth) {
+            component.style.width = component.dataset.standaloneWidth;
+        }
+
+        console.log('Component released from gallery:', component.id);
+    }
 })();
\ No newline at end of file
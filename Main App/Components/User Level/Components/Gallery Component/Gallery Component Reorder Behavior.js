@@ -1,34 +1,37 @@
 // Gallery Component Move Behavior
 // Drag and drop with indicator bar to reorder children in the gallery
 // Extends base move behavior for gallery children to include reordering functionality
+// Dragged beyond the gallery, a child stops reordering and nests like any component (Base User Component Nesting Behavior.js)
 // Tie into Gallery Component Factory & Event Handler
 
 (function() {
     // Gallery Component Move Behavior.js - Handles reordering of gallery children
     
-    const galleryChildren = document.querySelectorAll('.gallery-child');
-    if (!galleryChildren.length) {
-        console.log('No gallery children found for move behavior, exiting script');
-        return;
-    }
-
-    galleryChildren.forEach(child => {
-        // Skip if already initialized
-        if (child.dataset.galleryMoveInitialized) return;
-        child.dataset.galleryMoveInitialized = 'true';
-
-        console.log('Gallery move behavior attached to:', child.id);
+    window.BehaviorRegistry.register('galleryReorder', {
+        attach(child, listen) {
+            console.log('Gallery move behavior attached to:', child.id);
+
+            // Live move updates during drag - add reordering logic
+            listen('liveMove', (e) => {
+                const liveMouse = e.detail;
+                updateGalleryChildMove(child, liveMouse);
+            });
 
-        // Live move updates during drag - add reordering logic
-        child.addEventListener('liveMove', (e) => {
-            const liveMouse = e.detail;
-            updateGalleryChildMove(child, liveMouse);
-        });
+            // A cancelled drag must not reorder on cleanup
+            listen('cancelOperation', () => {
+                delete child.dataset.insertAfter;
+            });
 
-        // Completion handling for gallery children
-        child.addEventListener('resetOperationState', () => {
+            // Completion handling for gallery children
+            listen('resetOperationState', () => {
+                cleanupGalleryMoveVisuals(child);
+            });
+        },
+        detach(child) {
+            // Leaving the gallery mid-drag must not reorder it
+            delete child.dataset.insertAfter;
             cleanupGalleryMoveVisuals(child);
-        });
+        }
     });
 
     function updateGalleryChildMove(element, liveMouse) {
@@ -36,6 +39,15 @@
         const gallery = element.closest('.gallery-component');
         if (!gallery) return;
 
+        // Dragged beyond the gallery: hand the drag over to nesting, the drop can land in any container
+        if (isOutside(gallery, liveMouse) && element.classList.contains('isNestable') &&
+            window.EventsHandler?.switchOperation('nesting')) {
+            delete element.dataset.insertAfter;
+            clearReorderIndicators();
+            element.dispatchEvent(new CustomEvent('liveNesting', {detail: liveMouse}));
+            return;
+        }
+
         // Apply standard move behavior first
         updateStandardMove(element, liveMouse);
 
@@ -43,30 +55,30 @@
         showReorderIndicator(element, liveMouse, gallery);
     }
 
+    function isOutside(gallery, liveMouse) {
+        const rect = gallery.getBoundingClientRect();
+        return liveMouse.x < rect.left || liveMouse.x > rect.right || liveMouse.y < rect.top || liveMouse.y > rect.bottom;
+    }
+
     function updateStandardMove(element, liveMouse) {
         // Get the offset from mouse to component ONLY on first frame of drag
         if (!element.dataset.dragOffset && liveMouse.isDragging) {
-            const rect = element.getBoundingClientRect();
-            element.dataset.dragOffset = JSON.stringify({
-                x: liveMouse.x - rect.left,
-                y: liveMouse.y - rect.top
-            });
+            window.OperationsUtility.storeDragOffsets(element, liveMouse);
         }
         
         // Calculate component position based on current mouse and original offset
         if (element.dataset.dragOffset) {
-            const dragOffset = JSON.parse(element.dataset.dragOffset);
-            
-            // Calculate desired component position: nowMouseX - dragOffsetX
-            const desiredLeft = liveMouse.x - dragOffset.x;
-            const desiredTop = liveMouse.y - dragOffset.y;
+            // Pointer in the gallery's style coordinates (zoom aware) minus the grab offset
+            const desired = window.OperationsUtility.getDragPosition(element, liveMouse);
+            const desiredLeft = desired.x;
+            const desiredTop = desired.y;
             
             // Apply snapping to the component position
             let finalLeft = desiredLeft;
             let finalTop = desiredTop;
             
             if (typeof window.applySnapping === 'function') {
-                const snapped = window.applySnapping(desiredLeft, desiredTop);
+                const snapped = window.applySnapping(desiredLeft, desiredTop, true, element.parentElement);
                 finalLeft = snapped.x;
                 finalTop = snapped.y;
             }
@@ -119,14 +131,16 @@
         }
     }
 
+    // yPosition is in viewport pixels, the indicator is placed inside the gallery
     function showInsertionIndicator(yPosition, gallery) {
+        const top = window.OperationsUtility.toLocalPoint(gallery, 0, yPosition).y;
         const indicator = document.createElement('div');
         indicator.className = 'gallery-reorder-indicator';
         indicator.style.cssText = `
             position: absolute;
             left: 10px;
             right: 10px;
-            top: ${yPosition}px;
+            top: ${top}px;
             height: 2px;
             background: #007acc;
             z-index: 999;
@@ -137,6 +151,9 @@
         gallery.appendChild(indicator);
     }
 
+    // The indicator of a gallery (or child) that was deleted mid-reorder
+    document.addEventListener('componentRemoved', () => clearReorderIndicators());
+
     function clearReorderIndicators() {
         const indicators = document.querySelectorAll('.gallery-reorder-indicator');
         indicators.forEach(indicator => indicator.remove());
@@ -161,11 +178,6 @@
         // Clear indicators
         clearReorderIndicators();
         
-        // Preserve selection visuals after move cleanup
-        if (element.classList.contains('selected')) {
-            element.style.backgroundColor = 'rgba(0, 122, 204, 0.1)';
-        }
-        
         console.log('Gallery move visuals cleaned up for:', element.id);
     }
 
@@ -195,4 +207,9 @@
 
         console.log('Gallery child reordered:', element.id);
     }
-})();
\ No newline at end of file
+
+    // Layers panel drops inside a gallery reorder through the same path as canvas drags
+    window.GalleryReorderBehavior = {
+        performReorder
+    };
+})();
@@ -3,97 +3,94 @@
 // Prevents conflicts with base user component resize behavior
 
 (function() {
-    const galleries = document.querySelectorAll('.gallery-component:not([data-resize-behavior-initialized])');
-    if (!galleries.length) return;
+    // Pending handle add/remove timeouts per gallery, cleared on detach
+    const handleTimeouts = new WeakMap();
 
-    galleries.forEach(gallery => {
-        if (gallery.dataset.resizeBehaviorInitialized) return;
-        gallery.dataset.resizeBehaviorInitialized = 'true';
-        
-        console.log('Gallery resize behavior attached to:', gallery.id);
-        
-        let addHandlesTimeout = null;
-        let removeHandlesTimeout = null;
-        
-        // NEW: Handle resize initiation from Events Handler
-        gallery.addEventListener('startResize', (e) => {
-            const {mouse, handle} = e.detail;
-            
-            // Only allow horizontal resize for galleries
-            if (handle.dataset.handle === 'e' || handle.dataset.handle === 'w') {
-                console.log('Starting gallery resize operation:', gallery.id, handle.dataset.handle);
-                window.EventsHandler.start('resize', gallery, handle.dataset.handle);
-            }
-        });
-        
-        // Handle live resize updates
-        gallery.addEventListener('liveResize', (e) => {
-            const {mouse, handle} = e.detail;
-            performGalleryResize(gallery, mouse, handle);
-        });
-        
-        // Handle resize completion
-        gallery.addEventListener('completeResize', (e) => {
-            console.log('Gallery resize completed:', gallery.id);
-            if (window.GalleryComponentFactory) {
-                window.GalleryComponentFactory.updateChildWidths(gallery);
-            }
-        });
-        
-        gallery.addEventListener('showResizeHandles', () => {
-            if (removeHandlesTimeout) {
-                clearTimeout(removeHandlesTimeout);
-                removeHandlesTimeout = null;
-            }
-            if (!addHandlesTimeout) {
-                addHandlesTimeout = setTimeout(() => {
-                    addGalleryResizeHandles(gallery);
-                    addHandlesTimeout = null;
-                }, 10);
-            }
-        });
-        
-        gallery.addEventListener('hideResizeHandles', () => {
-            if (addHandlesTimeout) {
-                clearTimeout(addHandlesTimeout);
-                addHandlesTimeout = null;
-            }
-            if (!removeHandlesTimeout) {
-                removeHandlesTimeout = setTimeout(() => {
-                    removeGalleryResizeHandles(gallery);
-                    removeHandlesTimeout = null;
-                }, 10);
+    window.BehaviorRegistry.register('galleryResize', {
+        attach(gallery, listen) {
+            console.log('Gallery resize behavior attached to:', gallery.id);
+
+            const timeouts = { add: null, remove: null };
+            handleTimeouts.set(gallery, timeouts);
+
+            // NEW: Handle resize initiation from Events Handler
+            listen('startResize', (e) => {
+                const {mouse, handle} = e.detail;
+
+                // Only allow horizontal resize for galleries
+                if (handle.dataset.handle === 'e' || handle.dataset.handle === 'w') {
+                    console.log('Starting gallery resize operation:', gallery.id, handle.dataset.handle);
+                    window.EventsHandler.start('resize', gallery, handle.dataset.handle);
+                }
+            });
+
+            // Handle live resize updates
+            listen('liveResize', (e) => {
+                const {mouse, handle} = e.detail;
+                performGalleryResize(gallery, mouse, handle);
+            });
+
+            // Handle resize completion
+            listen('completeResize', (e) => {
+                console.log('Gallery resize completed:', gallery.id);
+                window.OperationsUtility.clearResizeStart(gallery);
+                if (window.GalleryComponentFactory) {
+                    window.GalleryComponentFactory.updateChildWidths(gallery);
+                }
+            });
+
+            // A cancelled resize starts over next time
+            listen('resetOperationState', () => {
+                window.OperationsUtility.clearResizeStart(gallery);
+            });
+
+            listen('showResizeHandles', () => {
+                if (timeouts.remove) {
+                    clearTimeout(timeouts.remove);
+                    timeouts.remove = null;
+                }
+                if (!timeouts.add) {
+                    timeouts.add = setTimeout(() => {
+                        addGalleryResizeHandles(gallery);
+                        timeouts.add = null;
+                    }, 10);
+                }
+            });
+
+            listen('hideResizeHandles', () => {
+                if (timeouts.add) {
+                    clearTimeout(timeouts.add);
+                    timeouts.add = null;
+                }
+                if (!timeouts.remove) {
+                    timeouts.remove = setTimeout(() => {
+                        removeGalleryResizeHandles(gallery);
+                        timeouts.remove = null;
+                    }, 10);
+                }
+            });
+        },
+        detach(gallery) {
+            const timeouts = handleTimeouts.get(gallery);
+            if (timeouts) {
+                clearTimeout(timeouts.add);
+                clearTimeout(timeouts.remove);
+                handleTimeouts.delete(gallery);
             }
-        });
+            removeGalleryResizeHandles(gallery);
+            window.OperationsUtility.clearResizeStart(gallery);
+        }
     });
 
+    // Width only (ResizableX) - Alt from the center and edge snapping as for any component, at least 100px wide
     function performGalleryResize(gallery, mouse, handle) {
-        const rect = gallery.getBoundingClientRect();
-        let newWidth = parseInt(gallery.style.width) || rect.width;
-        
-        if (handle === 'e') {
-            // East handle - increase width with mouse movement to the right
-            newWidth += mouse.deltaX;
-        } else if (handle === 'w') {
-            // West handle - increase width with mouse movement to the left, adjust position
-            const oldWidth = newWidth;
-            newWidth -= mouse.deltaX;
-            
-            // Adjust position to keep the right edge in place
-            const currentLeft = parseInt(gallery.style.left) || 0;
-            gallery.style.left = (currentLeft + (oldWidth - newWidth)) + 'px';
-        }
-        
-        // Apply minimum width constraint
-        newWidth = Math.max(newWidth, 100);
-        gallery.style.width = newWidth + 'px';
-        
-        console.log(`Gallery resized to width: ${newWidth}px`);
+        const box = window.OperationsUtility.applyResize(gallery, handle, mouse, { width: 100 });
+        if (box) console.log(`Gallery resized to width: ${box.width}px`);
     }
 
     function addGalleryResizeHandles(gallery) {
         const existingHandles = gallery.querySelectorAll('.resize-handle');
-        if (existingHandles.length > 0) return;
+        if (existingHandles.length > 0 || window.OperationsUtility.isLocked(gallery)) return;
         
         ['e', 'w'].forEach(handle => {
             const div = document.createElement('div');
@@ -51,50 +51,31 @@ window.ThirdPartySignInFactory = {
      * @returns {HTMLElement} Created unified component element
      */
     createUnifiedInstance: function(options = {}) {
-        const componentId = `signin-unified_${Date.now()}`;
+        const component = window.ComponentTypeRegistry.createInstance('signin-unified', options);
         
-        // Create the unified component element
-        const component = document.createElement('div');
-        component.className = 'base-user-component signin-component signin-unified draggable ResizableXorYAxis snapping';
-        component.setAttribute('data-component', 'signin-unified');
-        component.setAttribute('data-provider', 'unified');
-        component.id = componentId;
-        
-        // Set sizing for horizontal gallery layout
-        const enabledProviders = options.enabledProviders || ['apple', 'google', 'microsoft', 'facebook'];
-        const buttonSize = parseInt(options.buttonSize || '48');
-        const buttonGap = parseInt(options.buttonGap || '8');
-        const padding = 16;
+        console.log(`Unified Sign In component created with providers: ${component.dataset.enabledProviders} (${component.id})`);
+        return component;
+    },
+    
+    /**
+     * Provider config and calculated size for horizontal gallery layout
+     * @param {Object} options - enabledProviders, buttonSize and buttonGap overrides
+     * @returns {Object} { enabledProviders, buttonSize, buttonGap, width, height } in pixels
+     */
+    getUnifiedLayout: function(options = {}) {
+        const enabledProviders = options.enabledProviders || this.UNIFIED_CONFIG.defaultProviders;
+        const buttonSize = parseInt(options.buttonSize || this.UNIFIED_CONFIG.defaultButtonSize);
+        const buttonGap = parseInt(options.buttonGap || this.UNIFIED_CONFIG.defaultButtonGap);
+        const padding = this.UNIFIED_CONFIG.defaultPadding;
         
         // Calculate width based on number of enabled providers
-        const calculatedWidth = (enabledProviders.length * buttonSize) + ((enabledProviders.length - 1) * buttonGap) + padding;
-        const calculatedHeight = buttonSize + padding;
-        
-        component.style.position = 'absolute';
-        component.style.left = options.left || '220px';
-        component.style.top = options.top || '10px';
-        component.style.minWidth = `${calculatedWidth}px`;
-        component.style.minHeight = `${calculatedHeight}px`;
-        component.style.width = options.width || `${calculatedWidth}px`;
-        component.style.height = options.height || `${calculatedHeight}px`;
-        
-        // Add component styles
-        this.ensureStylesLoaded();
-        
-        // Append to specified container or main canvas
-        const container = options.container || document.getElementById('mainCanvas');
-        if (container) {
-            container.appendChild(component);
-        }
-        
-        // Load Base User Component behaviors
-        this.loadComponentBehaviors(componentId, 'unified');
-        
-        // Initialize unified component
-        this.initializeUnifiedProvider(component, options);
-        
-        console.log(`Unified Sign In component created with providers: ${enabledProviders.join(', ')} (${componentId})`);
-        return component;
+        return {
+            enabledProviders,
+            buttonSize,
+            buttonGap,
+            width: (enabledProviders.length * buttonSize) + ((enabledProviders.length - 1) * buttonGap) + padding,
+            height: buttonSize + padding
+        };
     },
     
     /**
@@ -126,59 +107,13 @@ window.ThirdPartySignInFactory = {
      * Load Unified Sign In component
      */
     loadUnifiedComponent: function(componentId, options) {
-        if (typeof window.UnifiedSignInComponent !== 'undefined') {
-            const unifiedComponent = new window.UnifiedSignInComponent(componentId, options);
-            unifiedComponent.initialize();
-        } else {
-            const cacheBuster = `?v=${Date.now()}`;
-            fetch(`../Components/User Level/Components/Login Component/3rd Party Sign In/UnifiedSignIn.js${cacheBuster}`)
-                .then(response => response.text())
-                .then(script => {
-                    eval(script);
-                    const unifiedComponent = new window.UnifiedSignInComponent(componentId, options);
-                    unifiedComponent.initialize();
-                    console.log('Unified Sign In component loaded and initialized');
-                })
-                .catch(error => console.error('Error loading Unified Sign In component:', error));
+        // UnifiedSignIn.js is loaded with a script tag alongside this factory
+        if (typeof window.UnifiedSignInComponent === 'undefined') {
+            console.error('Error loading Unified Sign In component: UnifiedSignIn.js is not loaded');
+            return;
         }
-    },
-    
-    /**
-     * Load Base User Component behaviors (excluding nesting)
-     */
-    loadComponentBehaviors: function(componentId, provider) {
-        const behaviors = [
-            'Base User Component Snapping Modifier.js',
-            'Base User Component Selection Behavior.js',
-            'Base User Component Move Behavior.js',
-            'Base User Component Resize Behavior.js'
-            // ❌ Excluded: Base User Component Nesting Behavior.js
-            // Sign-in components should not accept children
-        ];
-        
-        const basePath = '../Components/User Level/Components/Base User Component/';
-        
-        behaviors.forEach(behavior => {
-            const cacheBuster = `?v=${Date.now()}`;
-            fetch(`${basePath}${behavior}${cacheBuster}`)
-                .then(response => response.text())
-                .then(script => {
-                    // Modify script to target specific component instance
-                    let modifiedScript = script.replace(
-                        /const components = document\.querySelectorAll\('\.base-user-component'\);/g,
-                        `const components = [document.getElementById('${componentId}')];`
-                    );
-                    
-                    modifiedScript = modifiedScript.replace(
-                        /const component = document\.querySelector\('\.base-user-component'\);/g,
-                        `const component = document.getElementById('${componentId}');`
-                    );
-                    
-                    eval(modifiedScript);
-                    console.log(`${behavior} loaded for ${provider} sign-in:`, componentId);
-                })
-                .catch(error => console.error(`Error loading ${behavior}:`, error));
-        });
+        const unifiedComponent = new window.UnifiedSignInComponent(componentId, options);
+        unifiedComponent.initialize();
     },
     
     /**
@@ -293,5 +228,69 @@ window.ThirdPartySignInFactory = {
     }
 };
 
+/**
+ * Unified sign-in type definition, built by window.ComponentTypeRegistry.createInstance()
+ * Base User Component behaviors excluding nesting - sign-in components should not accept children
+ */
+window.ComponentTypeRegistry.register('signin-unified', {
+    classes: ['base-user-component', 'signin-component', 'signin-unified'],
+    capabilities: { draggable: true, resize: 'both', nestable: false, acceptsChildren: false, snapping: true },
+    defaultPosition: { left: '220px', top: '10px' },
+    defaultSize: (options) => {
+        const layout = window.ThirdPartySignInFactory.getUnifiedLayout(options);
+        return { width: `${layout.width}px`, height: `${layout.height}px` };
+    },
+    defaultStyles: { position: 'absolute' },
+    behaviors: ['selection', 'move', 'resize'],
+    setup: (component, options) => {
+        const factory = window.ThirdPartySignInFactory;
+        const layout = factory.getUnifiedLayout(options);
+        
+        component.setAttribute('data-provider', 'unified');
+        
+        // Keep the provider config on the element so it can be serialized
+        component.dataset.enabledProviders = layout.enabledProviders.join(',');
+        component.dataset.buttonSize = `${layout.buttonSize}px`;
+        component.dataset.buttonGap = `${layout.buttonGap}px`;
+        
+        component.style.minWidth = `${layout.width}px`;
+        component.style.minHeight = `${layout.height}px`;
+        
+        // Add component styles
+        factory.ensureStylesLoaded();
+        
+        // Initialize unified component
+        factory.initializeUnifiedProvider(component, options);
+    },
+    readConfig: (component) => ({
+        enabledProviders: (component.dataset.enabledProviders || '').split(',').filter(Boolean),
+        buttonSize: component.dataset.buttonSize,
+        buttonGap: component.dataset.buttonGap
+    }),
+    applyConfig: (component, config) => {
+        const current = window.ComponentTypeRegistry.readConfig(component);
+        const layout = window.ThirdPartySignInFactory.getUnifiedLayout({
+            enabledProviders: config.enabledProviders || current.enabledProviders,
+            buttonSize: config.buttonSize || current.buttonSize,
+            buttonGap: config.buttonGap || current.buttonGap
+        });
+        
+        component.dataset.enabledProviders = layout.enabledProviders.join(',');
+        component.dataset.buttonSize = `${layout.buttonSize}px`;
+        component.dataset.buttonGap = `${layout.buttonGap}px`;
+        component.style.minWidth = `${layout.width}px`;
+        component.style.minHeight = `${layout.height}px`;
+        
+        // UnifiedSignIn re-renders its buttons once it has initialized
+        component.dispatchEvent(new CustomEvent('updateConfig', {
+            detail: {
+                enabledProviders: layout.enabledProviders,
+                buttonSize: component.dataset.buttonSize,
+                buttonGap: component.dataset.buttonGap
+            }
+        }));
+    }
+});
+
 // Auto-register factory when this script loads
 console.log('Third Party Sign In Factory loaded and ready');
\ No newline at end of file
@@ -775,6 +775,9 @@
             // Listen for configuration updates
             this.component.addEventListener('updateConfig', (e) => {
                 this.config = { ...this.config, ...e.detail };
+                this.component.dataset.enabledProviders = this.config.enabledProviders.join(',');
+                this.component.dataset.buttonSize = this.config.buttonSize;
+                this.component.dataset.buttonGap = this.config.buttonGap;
                 this.renderButtonGallery();
             });
         }